@@ -13,6 +13,7 @@ connect.Mongos = require('./lib/mongos');
 connect.ReadPreference = require('./lib/read_preference');
 connect.GridStore = require('./lib/gridfs/grid_store');
 connect.Chunk = require('./lib/gridfs/chunk');
+connect.GridFSBucket = require('./lib/gridfs/gridfs_bucket');
 connect.Logger = core.Logger;
 
 // BSON types exported
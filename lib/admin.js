@@ -1,3 +1,5 @@
+var promisify = require('./utils').promisify;
+
 var Admin = function(db, topology) {
   if(!(this instanceof Admin)) return new Admin(db, topology);
   var self = this;
@@ -181,7 +183,12 @@ var Admin = function(db, topology) {
       if(err) return callback(err, false);
       return callback(utils.toError(doc), false);
     });
-  };   
+  };
+
+  // Return promises when no callback is provided
+  promisify(this, ['command', 'buildInfo', 'serverInfo', 'serverStatus', 'profilingLevel'
+    , 'ping', 'authenticate', 'logout', 'addUser', 'removeUser', 'setProfilingLevel'
+    , 'profilingInfo', 'validateCollection', 'listDatabases', 'replSetGetStatus']);
 }
 
 module.exports = Admin;
\ No newline at end of file
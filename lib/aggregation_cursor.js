@@ -0,0 +1,133 @@
+var inherits = require('util').inherits
+  , f = require('util').format
+  , MongoError = require('mongodb-core').MongoError
+  , handleCallback = require('./utils').handleCallback
+  , promisify = require('./utils').promisify
+  , isVerbosity = require('./explain').isVerbosity
+  , explainAggregate = require('./explain').explainAggregate
+  , VERBOSITY = require('./explain').VERBOSITY
+  , Cursor = require('./cursor');
+
+/**
+ * Cursor over the results of an aggregation, created by Collection.aggregate.
+ * Stages are appended with the chainable stage methods until iteration starts.
+ *
+ * var docs = collection.aggregate()
+ *   .match({a: 1})
+ *   .group({_id: '$b', total: {$sum: 1}})
+ *   .sort({total: -1})
+ *   .toArray(callback);
+ *
+ * @class
+ * @return {AggregationCursor} an AggregationCursor instance.
+ */
+var AggregationCursor = function(bson, ns, cmd, options, topology, topologyOptions) {
+  Cursor.apply(this, Array.prototype.slice.call(arguments, 0));
+  var self = this;
+
+  // Append a stage to the pipeline
+  var addStage = function(name, value) {
+    if(self.started) throw new MongoError("Cursor is closed");
+    var last = cmd.pipeline[cmd.pipeline.length - 1];
+    if(last != null && last.$out != null) throw new MongoError(f("%s stage cannot follow the $out stage, $out must be the last stage", name));
+
+    var stage = {};
+    stage[name] = value;
+    cmd.pipeline.push(stage);
+    // Pipelines writing with $out are never retried
+    if(name == '$out') options.retryReads = false;
+    return self;
+  }
+
+  // Add a read Only property
+  Object.defineProperty(this, 'pipeline', {
+    enumerable:true,
+    get: function() { return cmd.pipeline; }
+  });
+
+  this.match = function(document) {
+    return addStage('$match', document);
+  }
+
+  this.project = function(document) {
+    return addStage('$project', document);
+  }
+
+  this.group = function(document) {
+    return addStage('$group', document);
+  }
+
+  this.sort = function(document) {
+    return addStage('$sort', document);
+  }
+
+  this.limit = function(value) {
+    if(typeof value != 'number') throw new MongoError("limit requires an integer");
+    return addStage('$limit', value);
+  }
+
+  this.skip = function(value) {
+    if(typeof value != 'number') throw new MongoError("skip requires an integer");
+    return addStage('$skip', value);
+  }
+
+  this.unwind = function(field) {
+    return addStage('$unwind', field);
+  }
+
+  this.lookup = function(document) {
+    return addStage('$lookup', document);
+  }
+
+  this.redact = function(document) {
+    return addStage('$redact', document);
+  }
+
+  this.sample = function(document) {
+    return addStage('$sample', document);
+  }
+
+  this.geoNear = function(document) {
+    if(cmd.pipeline.length > 0) throw new MongoError("$geoNear must be the first stage of the pipeline");
+    return addStage('$geoNear', document);
+  }
+
+  this.out = function(name) {
+    if(typeof name != 'string') throw new MongoError("out requires a collection name");
+    return addStage('$out', name);
+  }
+
+  this.allowDiskUse = function(value) {
+    if(self.started) throw new MongoError("Cursor is closed");
+    cmd.allowDiskUse = typeof value == 'boolean' ? value : true;
+    return self;
+  }
+
+  // The batch size is sent in the cursor document of the command
+  this.batchSize = function(value) {
+    if(self.started) throw new MongoError("Cursor is closed");
+    if(typeof value != 'number') throw new MongoError("batchSize requires an integer");
+    if(cmd.cursor) cmd.cursor.batchSize = value;
+    this.cursorBatchSize = value;
+    return self;
+  }
+
+  // Without a verbosity the raw explain document is returned
+  var cursorExplain = this.explain;
+
+  this.explain = function(verbosity, callback) {
+    if(typeof verbosity == 'function') callback = verbosity, verbosity = null;
+    if(verbosity == null) return cursorExplain.call(self, callback);
+    if(!isVerbosity(verbosity)) return handleCallback(callback, new MongoError(f("explain verbosity must be one of %s", VERBOSITY.join(', '))));
+    if(options.db == null) return handleCallback(callback, new MongoError("explain verbosity can only be used with cursors created by Collection.aggregate"));
+    explainAggregate(options.db, cmd, verbosity, {readPreference: options.readPreference, session: options.session}, callback);
+  }
+
+  // Return promises when no callback is provided
+  promisify(this, ['explain']);
+}
+
+// Inherit from Cursor
+inherits(AggregationCursor, Cursor);
+
+module.exports = AggregationCursor;
@@ -0,0 +1,128 @@
+var f = require('util').format;
+
+// Command monitoring events
+var EVENTS = ['commandStarted', 'commandSucceeded', 'commandFailed'];
+
+// Commands whose command and reply documents are never exposed
+var SENSITIVE_COMMANDS = ['authenticate', 'saslstart', 'saslcontinue', 'getnonce'
+  , 'createuser', 'updateuser', 'copydbgetnonce', 'copydbsaslstart', 'copydb'];
+
+// Monotonically increasing id used to correlate started and finished events
+var requestId = 0;
+
+/**
+ * Returns true if anyone listens to command monitoring events on the emitter
+ * @ignore
+ * @api private
+ */
+var isMonitored = function(emitter) {
+  if(emitter == null || typeof emitter.listeners != 'function') return false;
+
+  for(var i = 0; i < EVENTS.length; i++) {
+    if(emitter.listeners(EVENTS[i]).length > 0) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Shallow copy a command or reply document, blanking out sensitive commands
+ * @ignore
+ * @api private
+ */
+var redact = function(commandName, doc) {
+  if(SENSITIVE_COMMANDS.indexOf(commandName.toLowerCase()) != -1) return {};
+  if(doc == null || typeof doc != 'object') return doc;
+
+  var copy = {};
+  for(var name in doc) copy[name] = doc[name];
+  return copy;
+}
+
+/**
+ * Build the equivalent write command for an insert, update or remove
+ * @ignore
+ * @api private
+ */
+var writeCommand = function(type, ns, ops, options) {
+  var collection = ns.split('.').slice(1).join('.');
+  var command = {};
+
+  if(type == 'insert') {
+    command.insert = collection;
+    command.documents = ops;
+  } else if(type == 'update') {
+    command.update = collection;
+    command.updates = ops;
+  } else {
+    command['delete'] = collection;
+    command.deletes = ops;
+  }
+
+  if(typeof options.ordered == 'boolean') command.ordered = options.ordered;
+  if(options.writeConcern) command.writeConcern = options.writeConcern;
+  return command;
+}
+
+// Resolve the host:port the operation was executed against
+var resolveAddress = function(emitter, result) {
+  if(result && result.connection && result.connection.host) {
+    return f('%s:%s', result.connection.host, result.connection.port);
+  }
+
+  return emitter.host && emitter.port ? f('%s:%s', emitter.host, emitter.port) : null;
+}
+
+/**
+ * Emit commandStarted for an operation and return a callback that emits
+ * commandSucceeded or commandFailed before calling the original callback.
+ * Returns the original callback untouched if nobody is listening.
+ *
+ * @ignore
+ * @api private
+ */
+var instrument = function(emitter, ns, command, callback) {
+  if(!isMonitored(emitter)) return callback;
+
+  var commandName = Object.keys(command)[0];
+  var databaseName = ns.split('.').shift();
+  var id = ++requestId;
+  var startTime = new Date().getTime();
+
+  // Commands go to db.$cmd, report the collection they target
+  var namespace = ns;
+  if(ns.split('.').pop() == '$cmd') {
+    namespace = typeof command[commandName] == 'string'
+      ? f('%s.%s', databaseName, command[commandName]) : databaseName;
+  }
+
+  emitter.emit('commandStarted', {
+      requestId: id, databaseName: databaseName, commandName: commandName
+    , namespace: namespace, command: redact(commandName, command)
+    , address: resolveAddress(emitter, null)
+  });
+
+  return function(err, result) {
+    var event = {
+        requestId: id, databaseName: databaseName, commandName: commandName
+      , namespace: namespace, duration: new Date().getTime() - startTime
+      , address: resolveAddress(emitter, result)
+    };
+
+    if(err) {
+      event.failure = err;
+      emitter.emit('commandFailed', event);
+    } else {
+      event.reply = redact(commandName, result && result.result ? result.result : result);
+      emitter.emit('commandSucceeded', event);
+    }
+
+    if(typeof callback == 'function') callback.apply(this, arguments);
+  }
+}
+
+exports.EVENTS = EVENTS;
+exports.isMonitored = isMonitored;
+exports.redact = redact;
+exports.writeCommand = writeCommand;
+exports.instrument = instrument;
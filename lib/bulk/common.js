@@ -1,4 +1,5 @@
-var utils = require('../utils');
+var utils = require('../utils')
+  , SchemaValidator = require('../schema_validator');
 
 // Error codes
 var UNKNOWN_ERROR = 8;
@@ -23,6 +24,21 @@ var writeConcern = function(target, col, options) {
   return target
 }
 
+// Throw if an insert, replacement or upsert does not match the collection schema.
+// Whether an upsert with update operators inserts is only known once it runs, so
+// only the fields it sets are validated.
+var checkSchema = function(collection, docType, document) {
+  var validator = collection.schemaValidator;
+  if(validator == null || docType == REMOVE) return;
+
+  var replacement = docType == UPDATE && utils.isReplacementDocument(document.u);
+  if(docType == UPDATE && !document.upsert && !replacement) return;
+
+  var doc = docType == INSERT ? document : SchemaValidator.upsertDocument(document.q, document.u);
+  var err = validator.check(collection.namespace, [doc], docType == UPDATE && !replacement);
+  if(err) throw err;
+}
+
 /**
  * Helper function to define properties
  */
@@ -248,6 +264,14 @@ var WriteError = function(err) {
   }
 }
 
+/**
+ * Maps the index of an operation in a batch to its index in the bulk operation,
+ * unordered batches group operations by type so they are not contiguous
+ */
+var originalIndex = function(batch, index) {
+  return batch.originalIndexes[index] != null ? batch.originalIndexes[index] : batch.originalZeroIndex + index;
+}
+
 /**
  * Merges results into shared data structure
  */
@@ -301,7 +325,7 @@ var mergeBatchResults = function(ordered, batch, bulkResult, err, result) {
 
     for(var i = 0; i < result.upserted.length; i++) {
       bulkResult.upserted.push({
-          index: result.upserted[i].index + batch.originalZeroIndex
+          index: originalIndex(batch, result.upserted[i].index)
         , _id: result.upserted[i]._id
       });
     }
@@ -310,7 +334,7 @@ var mergeBatchResults = function(ordered, batch, bulkResult, err, result) {
     nUpserted = 1;
 
     bulkResult.upserted.push({
-        index: batch.originalZeroIndex
+        index: originalIndex(batch, 0)
       , _id: result.upserted
     });
   }
@@ -332,7 +356,7 @@ var mergeBatchResults = function(ordered, batch, bulkResult, err, result) {
     for(var i = 0; i < result.writeErrors.length; i++) {
 
       var writeError = {
-          index: batch.originalZeroIndex + result.writeErrors[i].index
+          index: originalIndex(batch, result.writeErrors[i].index)
         , code: result.writeErrors[i].code
         , errmsg: result.writeErrors[i].errmsg
         , op: batch.operations[result.writeErrors[i].index]
@@ -367,6 +391,7 @@ exports.LegacyOp = LegacyOp;
 exports.mergeBatchResults = mergeBatchResults;
 exports.cloneOptions = cloneOptions;
 exports.writeConcern = writeConcern;
+exports.checkSchema = checkSchema;
 exports.INVALID_BSON_ERROR = INVALID_BSON_ERROR;
 exports.WRITE_CONCERN_ERROR = WRITE_CONCERN_ERROR;
 exports.MULTIPLE_ERROR = MULTIPLE_ERROR;
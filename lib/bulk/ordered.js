@@ -89,6 +89,9 @@ function OrderedBulkOperation(topology, collection, options) {
 				, upsert: upsert
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the update document to the list
@@ -114,6 +117,9 @@ function OrderedBulkOperation(topology, collection, options) {
 				, upsert: upsert
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the update document to the list
@@ -131,6 +137,18 @@ function OrderedBulkOperation(topology, collection, options) {
 			this.updateOne(updateDocument);
 		}
 
+		/**
+		 * Collation modifier for the update, replace and remove bulk operations
+		 *
+		 * @param {Object} collation the collation to use for the operation
+		 * @return {OrderedBulkOperation}
+		 * @api public
+		 */
+		this.collation = function(collation) {
+			currentOp.collation = collation;
+			return this;
+		}
+
 		/**
 		 * Upsert modifier for update bulk operation
 		 *
@@ -156,6 +174,9 @@ function OrderedBulkOperation(topology, collection, options) {
 				, limit: 1
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the remove document to the list
@@ -176,6 +197,9 @@ function OrderedBulkOperation(topology, collection, options) {
 				, limit: 0
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the remove document to the list
@@ -197,6 +221,13 @@ function OrderedBulkOperation(topology, collection, options) {
 
 	// Add to internal list of documents
 	var addToOperationsList = function(_self, docType, document) {
+    // Validate against the collection schema
+    common.checkSchema(collection, docType, document);
+    // Collations require MongoDB 3.4
+    if(docType != common.INSERT) {
+      var collationError = utils.checkCollation(topology, document.collation);
+      if(collationError) throw collationError;
+    }
     // Get the bsonSize
     var bsonSize = bson.calculateObjectSize(document, false);
 
@@ -251,7 +282,8 @@ function OrderedBulkOperation(topology, collection, options) {
 
 		// Save a current selector
 		currentOp = {
-			selector: selector
+				selector: selector
+			, collation: collection.collation
 		}
 
 		return new FindOperators();
@@ -290,6 +322,8 @@ function OrderedBulkOperation(topology, collection, options) {
     if(writeConcern != null) {
       finalOptions.writeConcern = writeConcern;
     }
+    // Run the batches in the session of the bulk operation
+    if(options.session) finalOptions.session = options.session;
 
    	if(batch.batchType == common.INSERT) {
    		topology.insert(collection.namespace, batch.operations, finalOptions, resultHandler);
@@ -93,6 +93,9 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 				, upsert: upsert
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the update document to the list
@@ -118,6 +121,9 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 				, upsert: upsert
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the update document to the list
@@ -135,6 +141,18 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 			this.updateOne(updateDocument);
 		}
 
+		/**
+		 * Collation modifier for the update, replace and remove bulk operations
+		 *
+		 * @param {Object} collation the collation to use for the operation
+		 * @return {UnorderedBulkOperation}
+		 * @api public
+		 */
+		this.collation = function(collation) {
+			currentOp.collation = collation;
+			return this;
+		}
+
 		/**
 		 * Upsert modifier for update bulk operation
 		 *
@@ -160,6 +178,9 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 				, limit: 1
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the remove document to the list
@@ -180,6 +201,9 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 				, limit: 0
 			}
 
+			// Apply the collation of the find operation
+			if(currentOp.collation) document.collation = currentOp.collation;
+
 			// Clear out current Op
 			currentOp = null;
 			// Add the remove document to the list
@@ -191,6 +215,13 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 	// Add to the operations list
 	//
 	var addToOperationsList = function(_self, docType, document) {
+    // Validate against the collection schema
+    common.checkSchema(collection, docType, document);
+    // Collations require MongoDB 3.4
+    if(docType != common.INSERT) {
+      var collationError = utils.checkCollation(topology, document.collation);
+      if(collationError) throw collationError;
+    }
     // Get the bsonSize
     var bsonSize = bson.calculateObjectSize(document, false);
     // Throw error if the doc is bigger than the max BSON size
@@ -292,7 +323,8 @@ var UnorderedBulkOperation = function(topology, collection, options) {
 
 		// Save a current selector
 		currentOp = {
-			selector: selector
+				selector: selector
+			, collation: collection.collation
 		}
 
 		return new FindOperators();
@@ -305,6 +337,8 @@ var UnorderedBulkOperation = function(topology, collection, options) {
     if(writeConcern != null) {
       finalOptions.writeConcern = writeConcern;
     }
+    // Run the batches in the session of the bulk operation
+    if(options.session) finalOptions.session = options.session;
 
     var resultHandler = function(err, result) {
       // If we have and error
@@ -8,12 +8,25 @@ var checkCollectionName = require('./utils').checkCollectionName
   , isObject = require('./utils').isObject
   , toError = require('./utils').toError
   , normalizeHintField = require('./utils').normalizeHintField
+  , parseIndexOptions = require('./utils').parseIndexOptions
+  , checkCollation = require('./utils').checkCollation
+  , checkReadConcern = require('./utils').checkReadConcern
+  , isReplacementDocument = require('./utils').isReplacementDocument
   , handleCallback = require('./utils').handleCallback
+  , executeWithRetry = require('./utils').executeWithRetry
+  , toPromise = require('./utils').toPromise
+  , promisify = require('./utils').promisify
   , decorateCommand = require('./utils').decorateCommand
   , formattedOrderClause = require('./utils').formattedOrderClause
   , ReadPreference = require('./read_preference')
   , CoreReadPreference = require('mongodb-core').ReadPreference
   , Cursor = require('./cursor')
+  , ClientSession = require('./session').ClientSession
+  , AggregationCursor = require('./aggregation_cursor')
+  , isVerbosity = require('./explain').isVerbosity
+  , explainAggregate = require('./explain').explainAggregate
+  , VERBOSITY = require('./explain').VERBOSITY
+  , SchemaValidator = require('./schema_validator')
   , unordered = require('./bulk/unordered')
   , ordered = require('./bulk/ordered');
 
@@ -29,6 +42,18 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
   var readPreference = null;
   var collectionHint = null;
   var namespace = f("%s.%s", dbName, name);
+  // Retry eligible operations once on failover, collection options override the db
+  var retryReads = typeof opts.retryReads == 'boolean' ? opts.retryReads : db.options.retryReads == true;
+  var retryWrites = typeof opts.retryWrites == 'boolean' ? opts.retryWrites : db.options.retryWrites == true;
+
+  // Default collation for reads and writes
+  var collation = opts.collation || null;
+
+  // Default read concern, falls back to the db read concern
+  var readConcern = opts.readConcern || db.readConcern || null;
+
+  // Collection level schema, falls back to the schema registered on the db
+  var schemaValidator = opts.schema ? new SchemaValidator(opts.schema, db, opts) : null;
 
   // Assign the right collection level readPreference
   if(options && options.readPreference) {
@@ -62,6 +87,18 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     }
   });
 
+  Object.defineProperty(this, 'collation', {
+    enumerable: true, get: function() { return collation; }
+  });
+
+  Object.defineProperty(this, 'readConcern', {
+    enumerable: true, get: function() { return readConcern; }
+  });
+
+  Object.defineProperty(this, 'schemaValidator', {
+    enumerable: true, get: function() { return schemaValidator || db.schemaValidator(name); }
+  });
+
   /**
    * @ignore
    */
@@ -89,6 +126,48 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     return target
   }
 
+  // Writes are only retried with the transaction number of a session, the server applies
+  // a write it already executed once. Takes the transaction number for the write, writes
+  // without a session take an implicit session of the db.
+  var retryableWrite = function(retry, options) {
+    var session = options.session;
+    if(!retry || (session != null && !(session instanceof ClientSession))) return false;
+    if(session != null && session.inTransaction()) return false;
+
+    var capabilities = topology.capabilities();
+    if(capabilities == null || !capabilities.hasRetryableWrites) return false;
+    if(options.w == 0 || (options.writeConcern && options.writeConcern.w == 0)) return false;
+
+    if(session == null) options.session = db.implicitSessions.acquire();
+    options.txnNumber = options.session.incrementTransactionNumber();
+    return true;
+  }
+
+  // Execute a write, retrying it once on a retryable error when it is retryable
+  var executeWrite = function(retry, options, operation, callback) {
+    var implicit = options.session == null;
+    var retryable = retryableWrite(retry, options);
+
+    executeWithRetry(retryable, operation, function(err) {
+      if(retryable && implicit) db.implicitSessions.release(options.session, err);
+      callback.apply(this, arguments);
+    });
+  }
+
+  // Returns an error if a replacement or upsert does not match the schema. Whether an upsert
+  // with update operators inserts is only known once it runs, so only the fields it sets
+  // are validated, required properties and minProperties are not checked.
+  var checkSchema = function(selector, document, options) {
+    var validator = self.schemaValidator;
+    if(validator == null || document == null) return null;
+
+    var replacement = isReplacementDocument(document);
+    if(!replacement && !options.upsert) return null;
+
+    var upserted = SchemaValidator.upsertDocument(selector, document);
+    return validator.check(namespace, [upserted], !replacement);
+  }
+
   // Figure out the read preference
   var getReadPreference = function(options, db, coll) {
     var r = null
@@ -101,7 +180,7 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     }
 
     if(r instanceof ReadPreference) {      
-      options.readPreference = new CoreReadPreference(r.mode, r.tags);
+      options.readPreference = r.toCoreReadPreference();
     } else if(typeof r == 'string') {
       options.readPreference = new CoreReadPreference(r);
     }
@@ -113,6 +192,17 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
       limit: 1, sort: 1, fields:1, skip: 1, hint: 1, explain: 1, snapshot: 1, timeout: 1, tailable: 1, tailableRetryInterval: 1
     , numberOfRetries: 1, awaitdata: 1, exhaust: 1, batchSize: 1, returnKey: 1, maxScan: 1, min: 1, max: 1, showDiskLoc: 1
     , comment: 1, raw: 1, readPreference: 1, partial: 1, read: 1, dbName: 1, oplogReplay: 1, connection: 1
+    , collation: 1, readConcern: 1, session: 1
+  }
+
+  // Use the collation passed in or the collection default
+  var getCollation = function(options) {
+    return options && options.collation != null ? options.collation : collation;
+  }
+
+  // Use the read concern passed in or the collection default
+  var getReadConcern = function(options) {
+    return options && options.readConcern != null ? options.readConcern : readConcern;
   }
 
   //
@@ -229,6 +319,16 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     // // If we have overridden slaveOk otherwise use the default db setting
     newOptions.slaveOk = options.slaveOk != null ? options.slaveOk : db.slaveOk;
 
+    // Apply the default collation and read concern
+    newOptions.collation = getCollation(options);
+    newOptions.readConcern = getReadConcern(options);
+    var optionsError = checkCollation(topology, newOptions.collation)
+      || checkReadConcern(topology, newOptions.readConcern);
+    if(optionsError) {
+      if(typeof callback == 'function') return handleCallback(callback, optionsError);
+      throw optionsError;
+    }
+
     // Add read preference if needed
     newOptions = getReadPreference(newOptions, db, self);
     // Set slave ok to true if read preference different from primary
@@ -245,9 +345,9 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
       , query: selector
     }
 
-    // Merge in options to command
+    // Merge in options to command, the session is attached by the topology
     for(var name in newOptions) {
-      if(newOptions[name] != null) findCommand[name] = newOptions[name];
+      if(newOptions[name] != null && name != 'session') findCommand[name] = newOptions[name];
     }
 
     // Format the fields
@@ -277,6 +377,8 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
 
     // Add db object to the new options
     newOptions.db = db;
+    // Retry the initial query on failover
+    newOptions.retryReads = retryReads;
 
     // Set raw if available at collection level
     if(newOptions.raw == null && raw) newOptions.raw = raw;
@@ -313,8 +415,17 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
       if(docs[i]._id == null) docs[i]._id = pkFactory.createPk();
     }
 
+    // Validate the documents against the schema
+    var schemaError = self.schemaValidator ? self.schemaValidator.check(namespace, docs) : null;
+    if(schemaError) return callback ? handleCallback(callback, schemaError) : null;
+
+    // Only single document inserts are retried
+    var insert = function(callback) {
+      topology.insert(namespace, docs, finalOptions, callback);
+    }
+
     // File inserts
-    topology.insert(namespace, docs, finalOptions, function(err, result) {
+    executeWrite(retryWrites && docs.length == 1, finalOptions, insert, function(err, result) {
       if(callback == null) return;
       if(err) return handleCallback(callback, err);
       if(result == null) return handleCallback(callback, null, null);
@@ -349,9 +460,22 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     var op = {q: selector, u: document};
     if(options.upsert) op.upsert = true;
     if(options.multi) op.multi = true;
+    if(getCollation(options)) op.collation = getCollation(options);
+
+    var collationError = checkCollation(topology, op.collation);
+    if(collationError) return callback ? handleCallback(callback, collationError) : null;
+
+    // Only single document updates are retried
+    var update = function(callback) {
+      topology.update(namespace, [op], finalOptions, callback);
+    }
+
+    // Validate replacements and upserts against the schema
+    var schemaError = checkSchema(selector, document, options);
+    if(schemaError) return callback ? handleCallback(callback, schemaError) : null;
 
     // Update options
-    topology.update(namespace, [op], finalOptions, function(err, result) {
+    executeWrite(retryWrites && !op.multi, finalOptions, update, function(err, result) {
       if(callback == null) return;
       if(err) return handleCallback(callback, err, null);
       if(result == null) return handleCallback(callback, null, null);
@@ -379,9 +503,18 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     // Build the op
     var op = {q: selector, limit: 0};
     if(options.single) op.limit = 1;
+    if(getCollation(options)) op.collation = getCollation(options);
+
+    var collationError = checkCollation(topology, op.collation);
+    if(collationError) return callback ? handleCallback(callback, collationError) : null;
+
+    // Only single document removes are retried
+    var remove = function(callback) {
+      topology.remove(namespace, [op], finalOptions, callback);
+    }
 
     // Execute the remove
-    topology.remove(namespace, [op], finalOptions, function(err, result) {
+    executeWrite(retryWrites && op.limit == 1, finalOptions, remove, function(err, result) {
       if(callback == null) return;
       if(err) return handleCallback(callback, err, null);
       if(result == null) return handleCallback(callback, null, null);
@@ -415,6 +548,146 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     });
   }
 
+  // Write concern used by an operation, decides if the result is acknowledged
+  var isAcknowledged = function(options) {
+    var w = options.w != null ? options.w : (self.writeConcern.w != null ? self.writeConcern.w : db.writeConcern.w);
+    return w == null || typeof w == 'string' || w > 0;
+  }
+
+  // Turn the errors contained in a full write result into an error
+  var writeResultError = function(result) {
+    if(result.code) return toError(result);
+    if(result.writeErrors) return toError(result.writeErrors[0]);
+    return null;
+  }
+
+  // Insert a single document
+  this.insertOne = function(doc, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(doc == null || typeof doc != 'object' || Array.isArray(doc)) return handleCallback(callback, toError("doc parameter must be an object"));
+
+    var finalOptions = shallowClone(options);
+    finalOptions.fullResult = true;
+
+    self.insert([doc], finalOptions, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      var error = result ? writeResultError(result) : null;
+      if(error) return handleCallback(callback, error);
+      handleCallback(callback, null, {
+        acknowledged: isAcknowledged(options), insertedCount: 1, insertedId: doc._id
+      });
+    });
+  }
+
+  // Insert an array of documents
+  this.insertMany = function(docs, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!Array.isArray(docs)) return handleCallback(callback, toError("docs parameter must be an array of documents"));
+    if(docs.length == 0) return handleCallback(callback, toError("docs parameter must not be empty"));
+
+    var finalOptions = shallowClone(options);
+    finalOptions.fullResult = true;
+    // Unordered inserts keep going after an error
+    if(options.ordered == false) finalOptions.keepGoing = true;
+
+    self.insert(docs, finalOptions, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      var error = result ? writeResultError(result) : null;
+      if(error) return handleCallback(callback, error);
+
+      // Map the position of every document to its _id
+      var insertedIds = {};
+      for(var i = 0; i < docs.length; i++) insertedIds[i] = docs[i]._id;
+
+      handleCallback(callback, null, {
+        acknowledged: isAcknowledged(options), insertedCount: docs.length, insertedIds: insertedIds
+      });
+    });
+  }
+
+  // Shared update path of updateOne, updateMany and replaceOne
+  var updateDocuments = function(filter, document, multi, options, callback) {
+    if(filter == null || typeof filter != 'object') return handleCallback(callback, toError("filter parameter must be an object"));
+
+    var finalOptions = shallowClone(options);
+    finalOptions.multi = multi;
+    finalOptions.fullResult = true;
+
+    self.update(filter, document, finalOptions, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      var error = result ? writeResultError(result) : null;
+      if(error) return handleCallback(callback, error);
+
+      var upserted = result && Array.isArray(result.upserted) ? result.upserted : [];
+      var n = result && typeof result.n == 'number' ? result.n : 0;
+
+      handleCallback(callback, null, {
+          acknowledged: isAcknowledged(options)
+        , matchedCount: n - upserted.length
+        // Servers before 2.6 do not report the modified count
+        , modifiedCount: result && typeof result.nModified == 'number' ? result.nModified : null
+        , upsertedCount: upserted.length
+        , upsertedId: upserted.length > 0 ? upserted[0]._id : null
+      });
+    });
+  }
+
+  // Update the first document matching the filter
+  this.updateOne = function(filter, update, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!isUpdateDocument(update)) return handleCallback(callback, toError("update document requires atomic operators"));
+    updateDocuments(filter, update, false, options, callback);
+  }
+
+  // Update all documents matching the filter
+  this.updateMany = function(filter, update, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!isUpdateDocument(update)) return handleCallback(callback, toError("update document requires atomic operators"));
+    updateDocuments(filter, update, true, options, callback);
+  }
+
+  // Replace the first document matching the filter
+  this.replaceOne = function(filter, replacement, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!isReplacementDocument(replacement)) return handleCallback(callback, toError("replacement document must not contain atomic operators"));
+    updateDocuments(filter, replacement, false, options, callback);
+  }
+
+  // Shared remove path of deleteOne and deleteMany
+  var deleteDocuments = function(filter, single, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(filter == null || typeof filter != 'object') return handleCallback(callback, toError("filter parameter must be an object"));
+
+    var finalOptions = shallowClone(options);
+    finalOptions.single = single;
+    finalOptions.fullResult = true;
+
+    self.remove(filter, finalOptions, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      var error = result ? writeResultError(result) : null;
+      if(error) return handleCallback(callback, error);
+      handleCallback(callback, null, {
+        acknowledged: isAcknowledged(options), deletedCount: result && typeof result.n == 'number' ? result.n : 0
+      });
+    });
+  }
+
+  // Delete the first document matching the filter
+  this.deleteOne = function(filter, options, callback) {
+    deleteDocuments(filter, true, options, callback);
+  }
+
+  // Delete all documents matching the filter
+  this.deleteMany = function(filter, options, callback) {
+    deleteDocuments(filter, false, options, callback);
+  }
+
   // findOne operation
   this.findOne = function() {    
     var self = this;
@@ -554,17 +827,80 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     // Add limit and skip if defined
     if(typeof skip == 'number') cmd.skip = skip;
     if(typeof limit == 'number') cmd.limit = limit;
+    if(getCollation(options)) cmd.collation = getCollation(options);
+    if(getReadConcern(options)) cmd.readConcern = getReadConcern(options);
+
+    var optionsError = checkCollation(topology, cmd.collation) || checkReadConcern(topology, cmd.readConcern);
+    if(optionsError) return handleCallback(callback, optionsError);
 
     // Ensure we have the right read preference inheritance
     options = getReadPreference(options, db, self);
 
     // Execute command
-    db.command(cmd, options, function(err, result) {
+    executeWithRetry(retryReads, function(callback) {
+      db.command(cmd, options, callback);
+    }, function(err, result) {
       if(err) return handleCallback(callback, err);
       handleCallback(callback, null, result.n);
     });
   };
 
+  this.countDocuments = function(query, options, callback) {
+    var args = Array.prototype.slice.call(arguments, 0);
+    callback = args.pop();
+    query = args.length ? args.shift() || {} : {};
+    options = args.length ? shallowClone(args.shift() || {}) : {};
+
+    // Count the matching documents with an aggregation
+    var pipeline = [{$match: query}];
+    if(typeof options.skip == 'number' && options.skip > 0) pipeline.push({$skip: options.skip});
+    if(typeof options.limit == 'number' && options.limit > 0) pipeline.push({$limit: options.limit});
+    pipeline.push({$group: {_id: 1, n: {$sum: 1}}});
+
+    var cmd = {aggregate: name, pipeline: pipeline};
+    if(options.hint) cmd.hint = normalizeHintField(options.hint);
+    if(typeof options.maxTimeMS == 'number') cmd.maxTimeMS = options.maxTimeMS;
+    if(getCollation(options)) cmd.collation = getCollation(options);
+    if(getReadConcern(options)) cmd.readConcern = getReadConcern(options);
+
+    var optionsError = checkCollation(topology, cmd.collation) || checkReadConcern(topology, cmd.readConcern);
+    if(optionsError) return handleCallback(callback, optionsError);
+
+    // Servers with aggregation cursors return the result in the first batch
+    var useCursor = topology.capabilities().hasAggregationCursor;
+    if(useCursor) cmd.cursor = {};
+
+    // Ensure we have the right read preference inheritance
+    options = getReadPreference(options, db, self);
+
+    executeWithRetry(retryReads, function(callback) {
+      db.command(cmd, options, callback);
+    }, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      var docs = useCursor ? result.cursor.firstBatch : result.result;
+      handleCallback(callback, null, docs.length > 0 ? docs[0].n : 0);
+    });
+  }
+
+  this.estimatedDocumentCount = function(options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = shallowClone(options || {});
+
+    // Use the collection metadata instead of scanning
+    var cmd = {collStats: name};
+    if(typeof options.maxTimeMS == 'number') cmd.maxTimeMS = options.maxTimeMS;
+
+    // Ensure we have the right read preference inheritance
+    options = getReadPreference(options, db, self);
+
+    executeWithRetry(retryReads, function(callback) {
+      db.command(cmd, options, callback);
+    }, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      handleCallback(callback, null, result.count);
+    });
+  }
+
   this.distinct = function(key, query, options, callback) {
     var args = Array.prototype.slice.call(arguments, 1);
     callback = args.pop();
@@ -576,16 +912,140 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
         'distinct': name, 'key': key, 'query': query
     };
 
+    if(getCollation(options)) cmd.collation = getCollation(options);
+    if(getReadConcern(options)) cmd.readConcern = getReadConcern(options);
+
+    var optionsError = checkCollation(topology, cmd.collation) || checkReadConcern(topology, cmd.readConcern);
+    if(optionsError) return handleCallback(callback, optionsError);
+
     // Ensure we have the right read preference inheritance
     options = getReadPreference(options, db, self);
 
     // Execute the command
-    db.command(cmd, options, function(err, result) {
+    executeWithRetry(retryReads, function(callback) {
+      db.command(cmd, options, callback);
+    }, function(err, result) {
       if(err) return handleCallback(callback, err);
       handleCallback(callback, null, result.values);
     });
   };
 
+  // Create, drop and rebuild indexes so they match the passed in index specifications
+  this.syncIndexes = function(specs, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!Array.isArray(specs)) return handleCallback(callback, toError("index specifications must be an array"));
+
+    // Normalize the desired indexes
+    var desired = [];
+    try {
+      for(var i = 0; i < specs.length; i++) {
+        var spec = normalizeIndexSpec(specs[i]);
+        for(var j = 0; j < desired.length; j++) {
+          if(desired[j].name == spec.name) throw toError(f("duplicate index name %s in index specifications", spec.name));
+        }
+
+        desired.push(spec);
+      }
+    } catch(err) {
+      return handleCallback(callback, err);
+    }
+
+    // Write concern for the index operations
+    var writeOptions = {};
+    ['w', 'wtimeout', 'j', 'fsync'].forEach(function(name) {
+      if(options[name] != null) writeOptions[name] = options[name];
+    });
+
+    self.indexes(function(err, existing) {
+      if(err) return handleCallback(callback, err);
+
+      var report = {created: [], dropped: [], conflicting: [], unchanged: [], dryRun: options.dryRun == true};
+      var creates = [];
+      var rebuilds = [];
+      var drops = [];
+      var matched = [];
+
+      // Classify the desired indexes against the existing ones
+      desired.forEach(function(spec) {
+        var current = matchingIndex(spec, existing, desired);
+        if(current == null) {
+          report.created.push(spec);
+          return creates.push(spec);
+        }
+
+        matched.push(current);
+        var differences = indexDifferences(spec, current);
+        if(differences.length == 0) return report.unchanged.push(spec);
+
+        // Conflicting indexes are rebuilt
+        report.conflicting.push({name: spec.name, key: spec.key, options: spec.options, existing: current, differences: differences});
+        rebuilds.push({existing: current, spec: spec});
+      });
+
+      // Existing indexes without a specification
+      if(options.dropExtraneous) {
+        existing.forEach(function(index) {
+          if(index.name == '_id_' || matched.indexOf(index) != -1) return;
+          report.dropped.push(index);
+          drops.push(index.name);
+        });
+      }
+
+      if(report.dryRun) return handleCallback(callback, null, report);
+
+      var createIndex = function(spec, callback) {
+        var createOptions = shallowClone(spec.options);
+        for(var key in writeOptions) createOptions[key] = writeOptions[key];
+        createOptions.name = spec.name;
+        db.createIndex(name, spec.key, createOptions, callback);
+      }
+
+      // Create the missing indexes first, a conflicting index can not exist next to its
+      // replacement so it is dropped and rebuilt after them and the extraneous indexes
+      // are only dropped once all the others succeeded
+      var operations = [];
+      creates.forEach(function(spec) {
+        operations.push(function(callback) { createIndex(spec, callback); });
+      });
+
+      rebuilds.forEach(function(rebuild) {
+        operations.push(function(callback) { db.dropIndex(name, rebuild.existing.name, writeOptions, callback); });
+        operations.push(function(callback) { createIndex(rebuild.spec, callback); });
+      });
+
+      drops.forEach(function(indexName) {
+        operations.push(function(callback) { db.dropIndex(name, indexName, writeOptions, callback); });
+      });
+
+      var next = function(err) {
+        if(err) return handleCallback(callback, err);
+        if(operations.length == 0) return handleCallback(callback, null, report);
+        operations.shift()(next);
+      }
+
+      next();
+    });
+  }
+
+  // Get a cursor over the indexes of the collection, servers before 3.0 query system.indexes
+  this.listIndexes = function(options) {
+    options = getReadPreference(shallowClone(options || {}), db, self);
+    var batchSize = options.batchSize;
+    delete options.batchSize;
+
+    var capabilities = topology.capabilities();
+    if(capabilities == null || capabilities.hasListIndexesCommand) {
+      var cmd = {listIndexes: name, cursor: {}};
+      if(typeof batchSize == 'number') cmd.cursor.batchSize = batchSize;
+      return topology.cursor(f("%s.$cmd", dbName), cmd, options);
+    }
+
+    var cursor = db.collection('system.indexes').find({ns: namespace});
+    if(typeof batchSize == 'number') cursor.batchSize(batchSize);
+    return cursor;
+  }
+
   this.indexes = function(callback) {
     db.indexInformation(name, {full:true}, callback);    
   }
@@ -636,10 +1096,27 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
       queryObject.fields = options.fields;
     }
 
+    if(options.maxTimeMS) {
+      queryObject.maxTimeMS = options.maxTimeMS;
+    }
+
+    if(getCollation(options)) {
+      queryObject.collation = getCollation(options);
+    }
+
+    var collationError = checkCollation(topology, queryObject.collation);
+    if(collationError) return handleCallback(callback, collationError);
+
     if(doc && !options.remove) {
       queryObject.update = doc;
     }
 
+    // MongoDB 3.2 and higher take the write concern in the command
+    var capabilities = topology.capabilities();
+    if(capabilities && capabilities.maxWireVersion >= 4) {
+      writeConcern(queryObject, db, self, options);
+    }
+
     // Either use override on the function, or go back to default on either the collection
     // level or db
     if(options['serializeFunctions'] != null) {
@@ -651,11 +1128,24 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     // No check on the documents
     options.checkKeys = false;
 
+    // Validate replacements and upserts against the schema
+    var schemaError = checkSchema(query, options.remove ? null : doc, options);
+    if(schemaError) return handleCallback(callback, schemaError, null);
+
+    // The write concern is part of the command
+    var commandOptions = shallowClone(options);
+    commandOptions.writeConcern = queryObject.writeConcern;
+
+    // A retried findAndModify sends the same transaction number
+    var findAndModify = function(callback) {
+      if(commandOptions.txnNumber != null) queryObject.txnNumber = Long.fromNumber(commandOptions.txnNumber);
+      db.command(queryObject, commandOptions, callback);
+    }
+
     // Execute the command
-    db.command(queryObject
-      , options, function(err, result) {
-        if(err) return handleCallback(callback, err, null);
-        return handleCallback(callback, null, result.value, result);
+    executeWrite(retryWrites, commandOptions, findAndModify, function(err, result) {
+      if(err) return handleCallback(callback, err, null);
+      return handleCallback(callback, null, result.value, result);
     });
   }
 
@@ -670,7 +1160,86 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     this.findAndModify(query, sort, null, options, callback);
   }
 
+  // Shared path of findOneAndUpdate, findOneAndReplace and findOneAndDelete
+  var findOneAndModify = function(filter, doc, options, callback) {
+    if(filter == null || typeof filter != 'object') return handleCallback(callback, toError("filter parameter must be an object"));
+    if(options.returnDocument != null && options.returnDocument != 'before' && options.returnDocument != 'after') {
+      return handleCallback(callback, toError("returnDocument must be either 'before' or 'after'"));
+    }
+
+    var finalOptions = shallowClone(options);
+    delete finalOptions.sort;
+    delete finalOptions.projection;
+    delete finalOptions.returnDocument;
+    if(options.projection) finalOptions.fields = options.projection;
+    finalOptions.new = options.returnDocument == 'after';
+
+    self.findAndModify(filter, options.sort || [], doc, finalOptions, function(err, value, result) {
+      if(err) return handleCallback(callback, err);
+      handleCallback(callback, null, {
+        value: result.value == null ? null : result.value, lastErrorObject: result.lastErrorObject, ok: result.ok
+      });
+    });
+  }
+
+  // Update the first document matching the filter and return it
+  this.findOneAndUpdate = function(filter, update, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!isUpdateDocument(update)) return handleCallback(callback, toError("update document requires atomic operators"));
+    findOneAndModify(filter, update, {
+        sort: options.sort, projection: options.projection, upsert: options.upsert
+      , returnDocument: options.returnDocument, maxTimeMS: options.maxTimeMS, collation: options.collation
+      , session: options.session, w: options.w, wtimeout: options.wtimeout, j: options.j
+    }, callback);
+  }
+
+  // Replace the first document matching the filter and return it
+  this.findOneAndReplace = function(filter, replacement, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!isReplacementDocument(replacement)) return handleCallback(callback, toError("replacement document must not contain atomic operators"));
+    findOneAndModify(filter, replacement, {
+        sort: options.sort, projection: options.projection, upsert: options.upsert
+      , returnDocument: options.returnDocument, maxTimeMS: options.maxTimeMS, collation: options.collation
+      , session: options.session, w: options.w, wtimeout: options.wtimeout, j: options.j
+    }, callback);
+  }
+
+  // Delete the first document matching the filter and return it
+  this.findOneAndDelete = function(filter, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    findOneAndModify(filter, null, {
+      sort: options.sort, projection: options.projection, remove: true, maxTimeMS: options.maxTimeMS
+      , collation: options.collation, session: options.session, w: options.w, wtimeout: options.wtimeout, j: options.j
+    }, callback);
+  }
+
   this.aggregate = function(pipeline, options, callback) {
+    // Without arguments return a cursor the pipeline is built on
+    if(arguments.length == 0) {
+      if(!topology.capabilities().hasAggregationCursor) throw new MongoError("aggregation cursors require MongoDB 2.6 or higher");
+      var command = {aggregate: name, pipeline: [], cursor: {}};
+      if(collation) command.collation = collation;
+      if(readConcern) command.readConcern = readConcern;
+
+      var optionsError = checkCollation(topology, command.collation) || checkReadConcern(topology, command.readConcern);
+      if(optionsError) throw optionsError;
+
+      options = getReadPreference({}, db, self);
+      options.retryReads = retryReads;
+      options.cursorFactory = AggregationCursor;
+      options.db = db;
+      return topology.cursor(namespace, command, options);
+    }
+
+    var last = arguments[arguments.length - 1];
+    // Return a promise unless we have a callback or are returning a cursor
+    if(typeof last != 'function' && !(last != null && typeof last == 'object' && last.cursor != null)) {
+      return toPromise(this, this.aggregate, arguments);
+    }
+
     var args = Array.prototype.slice.call(arguments, 0);
     callback = args.pop();
 
@@ -678,7 +1247,8 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     var opts = args[args.length - 1];
     options = opts.readPreference 
       || opts.explain || opts.cursor || opts.out
-      || opts.allowDiskUse ? args.pop() : {}
+      || opts.allowDiskUse || opts.collation || opts.readConcern
+      || opts.session ? args.pop() : {}
     // If the callback is the option (as for cursor override it)
     if(typeof callback == 'object' && callback != null) options = callback;
 
@@ -698,10 +1268,31 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     var command = { aggregate : name, pipeline : pipeline};
     // If we have allowDiskUse defined
     if(options.allowDiskUse) command.allowDiskUse = options.allowDiskUse;
+    if(getCollation(options)) command.collation = getCollation(options);
+
+    // Pipelines writing with $out do not take a read concern
+    var lastStage = pipeline[pipeline.length - 1];
+    var hasOut = lastStage != null && lastStage.$out != null;
+    if(getReadConcern(options) && !hasOut) command.readConcern = getReadConcern(options);
+
+    var optionsError = checkCollation(topology, command.collation) || checkReadConcern(topology, command.readConcern);
+    if(optionsError) {
+      if(typeof callback == 'function') return handleCallback(callback, optionsError);
+      throw optionsError;
+    }
 
     // Ensure we have the right read preference inheritance
     options = getReadPreference(options, db, self);
 
+    // Pipelines writing with $out are never retried
+    var retry = retryReads && !hasOut;
+
+    // An explain verbosity returns a summary of the explain document
+    if(typeof options.explain == 'string' && typeof callback == 'function') {
+      if(!isVerbosity(options.explain)) return handleCallback(callback, toError(f("explain verbosity must be one of %s", VERBOSITY.join(', '))));
+      return explainAggregate(db, command, options.explain, options, callback);
+    }
+
     // If explain has been specified add it
     if(options.explain) command.explain = options.explain;
 
@@ -711,6 +1302,9 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
       && topology.capabilities().hasAggregationCursor) {
       command.cursor = options.cursor;
       if(typeof options.allowDiskUse == 'boolean') command.allowDiskUse = options.allowDiskUse;
+      options.retryReads = retry;
+      options.cursorFactory = AggregationCursor;
+      options.db = db;
       // Execute the cursor
       return topology.cursor(namespace, command, options);
     }
@@ -722,7 +1316,9 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
     }
 
     // Execute the command
-    db.command(command, options, function(err, result) {
+    executeWithRetry(retry, function(callback) {
+      db.command(command, options, callback);
+    }, function(err, result) {
       if(err) {
         handleCallback(callback, err);
       } else if(result['err'] || result['errmsg']) {
@@ -1081,6 +1677,231 @@ var Collection = function(db, topology, dbName, name, pkFactory, options) {
   this.initializeOrderedBulkOp = function(options) {
     return ordered(topology, this, options);
   }
+
+  // Execute an array of insertOne, updateOne, updateMany, replaceOne, deleteOne and deleteMany models
+  this.bulkWrite = function(operations, options, callback) {
+    if(typeof options == 'function') callback = options, options = {};
+    options = options || {};
+    if(!Array.isArray(operations) || operations.length == 0) return handleCallback(callback, toError("operations must be a non empty array"));
+
+    var bulk = options.ordered == false ? self.initializeUnorderedBulkOp(options) : self.initializeOrderedBulkOp(options);
+    var insertedIds = {};
+
+    try {
+      for(var i = 0; i < operations.length; i++) {
+        addBulkWriteOperation(bulk, operations[i], i, insertedIds);
+      }
+    } catch(err) {
+      return handleCallback(callback, toError(err));
+    }
+
+    bulk.execute(function(err, result) {
+      if(result == null) return handleCallback(callback, err);
+      var errors = result.getWriteErrors();
+
+      // Only report the ids of documents that were inserted
+      for(var i = 0; i < errors.length; i++) {
+        for(var index in insertedIds) {
+          if(index == errors[i].index || (options.ordered != false && index > errors[i].index)) delete insertedIds[index];
+        }
+      }
+
+      // Map the upserted ids by operation index
+      var upsertedIds = {};
+      var upserted = result.getUpsertedIds();
+      for(var i = 0; i < upserted.length; i++) upsertedIds[upserted[i].index] = upserted[i]._id;
+
+      var r = {
+          acknowledged: isAcknowledged(options)
+        , insertedCount: result.nInserted
+        , matchedCount: result.nMatched
+        , modifiedCount: result.nModified
+        , deletedCount: result.nRemoved
+        , upsertedCount: result.nUpserted
+        , insertedIds: insertedIds
+        , upsertedIds: upsertedIds
+      };
+
+      if(errors.length == 0) return handleCallback(callback, null, r);
+
+      // Report the first write error together with all of them
+      var error = toError({errmsg: errors[0].errmsg, code: errors[0].code, index: errors[0].index, writeErrors: errors});
+      handleCallback(callback, error, r);
+    });
+  }
+
+  // Return promises when no callback is provided, a trailing function only counts as the
+  // callback after group's reduce and mapReduce's reduce, so a group finalize function
+  // without a callback must be followed by the command flag
+  promisify(this, ['insert', 'update', 'remove', 'save', 'insertOne', 'insertMany', 'updateOne'
+    , 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany', 'findOne', 'rename', 'drop'
+    , 'options', 'isCapped', 'createIndex', 'dropIndex', 'dropAllIndexes', 'reIndex'
+    , 'ensureIndex', 'indexExists', 'indexInformation', 'count', 'countDocuments'
+    , 'estimatedDocumentCount', 'distinct', 'indexes'
+    , 'stats', 'findAndModify', 'findAndRemove', 'findOneAndUpdate', 'findOneAndReplace'
+    , 'findOneAndDelete', 'parallelCollectionScan', 'geoNear'
+    , 'geoHaystackSearch', 'group', 'mapReduce', 'bulkWrite', 'syncIndexes']
+    , {group: 4, mapReduce: 2});
+}
+
+// Index options that change the behavior of an index, anything else is ignored when comparing
+var INDEX_COMPARED_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'collation'
+  , 'min', 'max', 'bits', 'bucketSize', 'weights', 'default_language', 'language_override', 'storageEngine'];
+
+// Boolean index options where false is the same as not set
+var INDEX_FLAG_OPTIONS = ['unique', 'sparse'];
+
+// Index options the server fills in with defaults, only compared when specified
+var INDEX_DEFAULTED_OPTIONS = ['weights', 'default_language', 'language_override', 'collation'];
+
+// Normalize a syncIndexes specification into {name, key, options}
+var normalizeIndexSpec = function(spec) {
+  if(spec == null || typeof spec != 'object' || spec.key == null) throw toError("index specification must contain a key");
+  var parsed = parseIndexOptions(spec.key);
+  if(Object.keys(parsed.fieldHash).length == 0) throw toError("index specification key must contain at least one field");
+
+  var options = {};
+  for(var name in spec) {
+    if(name != 'key' && name != 'name') options[name] = spec[name];
+  }
+
+  return {name: typeof spec.name == 'string' ? spec.name : parsed.name, key: parsed.fieldHash, options: options};
+}
+
+// The server stores text indexes under _fts and _ftsx keys
+var serverIndexKey = function(key) {
+  var result = {};
+  var text = false;
+
+  for(var name in key) {
+    if(key[name] != 'text') {
+      result[name] = key[name];
+    } else if(!text) {
+      result._fts = 'text';
+      result._ftsx = 1;
+      text = true;
+    }
+  }
+
+  return result;
+}
+
+// Compare values of index documents, ignoring numeric types
+var sameIndexValue = function(a, b) {
+  if(a == null || b == null) return a == b;
+  if(typeof a == 'number' || typeof b == 'number') return Number(a) == Number(b);
+  if(typeof a != 'object' || typeof b != 'object') return a === b;
+
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+  if(keysA.length != keysB.length) return false;
+
+  for(var i = 0; i < keysA.length; i++) {
+    if(keysA[i] != keysB[i] || !sameIndexValue(a[keysA[i]], b[keysB[i]])) return false;
+  }
+
+  return true;
+}
+
+// The existing index with the name of the specification, or else with its key pattern. An index
+// named by another specification is left to that one, _id_ can not be rebuilt.
+var matchingIndex = function(spec, existing, desired) {
+  for(var i = 0; i < existing.length; i++) {
+    if(existing[i].name == spec.name) return existing[i];
+  }
+
+  var names = desired.map(function(desiredSpec) { return desiredSpec.name; });
+  for(var i = 0; i < existing.length; i++) {
+    if(existing[i].name == '_id_' || names.indexOf(existing[i].name) != -1) continue;
+    if(sameIndexValue(serverIndexKey(spec.key), existing[i].key)) return existing[i];
+  }
+
+  return null;
+}
+
+// List the name, key and option names a desired index differs from an existing one
+var indexDifferences = function(spec, index) {
+  var differences = [];
+  if(spec.name != index.name) differences.push('name');
+  if(!sameIndexValue(serverIndexKey(spec.key), index.key)) differences.push('key');
+
+  for(var i = 0; i < INDEX_COMPARED_OPTIONS.length; i++) {
+    var name = INDEX_COMPARED_OPTIONS[i];
+    var desired = spec.options[name];
+    var current = index[name];
+
+    if(INDEX_FLAG_OPTIONS.indexOf(name) != -1) {
+      desired = desired == true;
+      current = current == true;
+    }
+
+    if(INDEX_DEFAULTED_OPTIONS.indexOf(name) != -1) {
+      if(desired == null) continue;
+
+      // Only compare the collation fields that were specified
+      if(name == 'collation' && current != null) {
+        var fields = {};
+        for(var field in desired) fields[field] = current[field];
+        current = fields;
+      }
+    }
+
+    if(!sameIndexValue(desired, current)) differences.push(name);
+  }
+
+  return differences;
+}
+
+// Start a bulk find operation for a bulkWrite model
+var bulkWriteFind = function(bulk, model) {
+  var find = bulk.find(model.filter);
+  if(model.collation) find.collation(model.collation);
+  if(model.upsert) find.upsert();
+  return find;
+}
+
+// Add a single bulkWrite operation model to a bulk operation
+var addBulkWriteOperation = function(bulk, operation, index, insertedIds) {
+  var type = operation == null || typeof operation != 'object' ? null : Object.keys(operation)[0];
+  var model = type ? operation[type] : null;
+  if(model == null || typeof model != 'object') throw toError(f("operation at index %s is not a valid write model", index));
+
+  if(type == 'insertOne') {
+    if(model.document == null || typeof model.document != 'object') throw toError(f("insertOne at index %s requires a document", index));
+    bulk.insert(model.document);
+    insertedIds[index] = model.document._id;
+    return;
+  }
+
+  if(model.filter == null || typeof model.filter != 'object') throw toError(f("%s at index %s requires a filter", type, index));
+
+  if(type == 'updateOne' || type == 'updateMany') {
+    if(!isUpdateDocument(model.update)) throw toError(f("%s at index %s requires an update document with atomic operators", type, index));
+    var find = bulkWriteFind(bulk, model);
+    return type == 'updateOne' ? find.updateOne(model.update) : find.update(model.update);
+  } else if(type == 'replaceOne') {
+    if(!isReplacementDocument(model.replacement)) throw toError(f("replaceOne at index %s requires a replacement document without atomic operators", index));
+    return bulkWriteFind(bulk, model).replaceOne(model.replacement);
+  } else if(type == 'deleteOne') {
+    return bulkWriteFind(bulk, model).removeOne();
+  } else if(type == 'deleteMany') {
+    return bulkWriteFind(bulk, model).remove();
+  }
+
+  throw toError(f("unknown write model %s at index %s", type, index));
+}
+
+// An update document only contains atomic operators
+var isUpdateDocument = function(doc) {
+  if(doc == null || typeof doc != 'object' || Array.isArray(doc)) return false;
+  var keys = Object.keys(doc);
+  if(keys.length == 0) return false;
+
+  for(var i = 0; i < keys.length; i++) {
+    if(keys[i][0] != '$') return false;
+  }
+
+  return true;
 }
 
 module.exports = Collection;
\ No newline at end of file
@@ -3,18 +3,76 @@ var inherits = require('util').inherits
   , toError = require('./utils').toError
   , getSingleProperty = require('./utils').getSingleProperty
   , formattedOrderClause = require('./utils').formattedOrderClause
+  , normalizeHintField = require('./utils').normalizeHintField
   , handleCallback = require('./utils').handleCallback
+  , shallowClone = require('./utils').shallowClone
+  , isRetryableError = require('./utils').isRetryableError
+  , executeWithRetry = require('./utils').executeWithRetry
+  , promisify = require('./utils').promisify
+  , toPromise = require('./utils').toPromise
+  , instrument = require('./apm').instrument
+  , summarizeExplain = require('./explain').summarize
+  , isVerbosity = require('./explain').isVerbosity
+  , VERBOSITY = require('./explain').VERBOSITY
   , Logger = require('mongodb-core').Logger
   , EventEmitter = require('events').EventEmitter
   , ReadPreference = require('./read_preference')
   , MongoError = require('mongodb-core').MongoError
   , Readable = require('stream').Readable || require('readable-stream').Readable
   , CoreCursor = require('mongodb-core').Cursor
+  , CoreReadPreference = require('mongodb-core').ReadPreference
   , Query = require('mongodb-core').Query
-  , CoreReadPreference = require('mongodb-core').ReadPreference;
+  , Long = require('mongodb-core').BSON.Long
+  , applySession = require('./session').applySession;
 
 var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
-  CoreCursor.apply(this, Array.prototype.slice.call(arguments, 0));
+  // Command sent for the initial query when iteration starts, null lets the core send it
+  var initialCommand = null;
+
+  // Namespace of the server cursor, command cursors return it in the first reply
+  var cursorNamespace = ns;
+
+  var getMoreCommand = function(cursorId, batchSize) {
+    var command = {getMore: cursorId, collection: cursorNamespace.split('.').slice(1).join('.')};
+    if(batchSize) command.batchSize = Math.abs(batchSize);
+    return command;
+  }
+
+  // Once the initial query ran as a command the getMore and killCursors commands replace
+  // the OP_GET_MORE and OP_KILL_CURSORS messages, so the session is sent with them
+  var cursorCommands = {
+    initial: function() {
+      return initialCommand;
+    },
+
+    namespace: function() {
+      return cursorNamespace;
+    },
+
+    setNamespace: function(value) {
+      cursorNamespace = value;
+    },
+
+    getMore: function(cursorId, batchSize) {
+      if(initialCommand == null) return null;
+      var command = getMoreCommand(cursorId, batchSize);
+      return options.session ? applySession(options.session, options.monitor, command) : command;
+    },
+
+    killCursors: function(cursorId) {
+      if(initialCommand == null) return null;
+      var command = {killCursors: cursorNamespace.split('.').slice(1).join('.'), cursors: [cursorId]};
+      return options.session ? applySession(options.session, options.monitor, command) : command;
+    },
+
+    // Emit the command monitoring events of a getMore sent to the server
+    monitor: function(cursorId, batchSize, command, callback) {
+      return instrument(options.monitor, cursorNamespace, command || getMoreCommand(cursorId, batchSize), callback);
+    }
+  }
+
+  var coreTopology = topology ? commandTopology(topology, ns, cursorCommands) : topology;
+  CoreCursor.call(this, bson, ns, cmd, options, coreTopology, topologyOptions);
   var self = this;
   var state = Cursor.INIT;
   var streamOptions = {};
@@ -47,9 +105,145 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     get: function() { return options.readPreference; }
   });
 
+  // Has iteration started, the query can no longer be modified
+  Object.defineProperty(this, 'started', {
+    enumerable:true,
+    get: function() { return state == Cursor.OPEN || state == Cursor.CLOSED || self.isDead(); }
+  });
+
+  // Has the initial query been sent
+  var initialized = false;
+  // Document fetched by hasNext and not yet returned
+  var peeked = null;
+  // The core cursor rewind, resets the server side cursor state only
+  var coreRewind = this.rewind;
+  // The core cursor next, returns the raw documents of the current batch
+  var coreNext = this.next;
+
+  // Fetch the next raw document, the core cursor calls next again with the same
+  // callback while fetching batches so it is marked to bypass the public next
+  var nextBatch = function(callback) {
+    var coreCallback = function() {
+      return callback.apply(this, arguments);
+    }
+
+    coreCallback.coreNext = true;
+    coreNext.call(self, coreCallback);
+  }
+
+  // Issue next, emitting command monitoring events for the initial query, the getMores
+  // are reported by the topology of the core cursor when they are sent
+  var monitoredNext = function(firstBatch, callback) {
+    if(!firstBatch || !isCommand(cmd) || self.bufferedCount() > 0 || self.isDead()) return nextBatch(callback);
+    nextBatch(instrument(options.monitor, ns, initialCommand || cmd, callback));
+  }
+
+  // Get the next document, retrying the initial query once on
+  // a retryable error if retryReads is enabled
+  var nextDocument = function(callback) {
+    var firstBatch = !initialized;
+    initialized = true;
+
+    if(firstBatch) {
+      try {
+        initialCommand = buildInitialCommand();
+      } catch(err) {
+        return callback(err);
+      }
+
+      if(initialCommand instanceof Error) {
+        var err = initialCommand;
+        initialCommand = null;
+        return callback(err);
+      }
+    }
+
+    if(!firstBatch || !options.retryReads || typeof coreRewind != 'function') {
+      return monitoredNext(firstBatch, commandErrorHandler(callback));
+    }
+
+    monitoredNext(true, commandErrorHandler(function(err) {
+      if(!isRetryableError(err)) return callback.apply(this, arguments);
+      coreRewind.call(self);
+      monitoredNext(true, commandErrorHandler(callback));
+    }));
+  }
+
+  // Map and filter functions applied to every document in order
+  var transforms = [];
+  // Marker for a document removed by a filter
+  var FILTERED = {};
+
+  // Run a document through the map and filter functions
+  var applyTransforms = function(doc) {
+    for(var i = 0; i < transforms.length; i++) {
+      if(transforms[i].filter) {
+        if(!transforms[i].fn(doc)) return FILTERED;
+      } else {
+        doc = transforms[i].fn(doc);
+      }
+    }
+
+    return doc;
+  }
+
+  // Get the next document that passes all filters, with all maps applied
+  var transformedNext = function(callback) {
+    // Return the document fetched by hasNext first
+    if(peeked != null) {
+      var doc = peeked;
+      peeked = null;
+      return callback(null, doc);
+    }
+
+    nextDocument(function(err, doc) {
+      if(err || doc == null || transforms.length == 0) return callback(err, doc);
+
+      try {
+        doc = applyTransforms(doc);
+      } catch(err) {
+        return callback(err);
+      }
+
+      if(doc !== FILTERED) return callback(null, doc);
+      // Skip filtered documents without growing the stack
+      process.nextTick(function() {
+        transformedNext(callback);
+      });
+    });
+  }
+
+  /**
+   * Map all documents returned by the cursor, applies to nextObject, each, toArray,
+   * streams and async iteration. Multiple maps and filters are applied in the order added.
+   *
+   * @param {Function} transform the function called with each document, returns the mapped value which must not be null.
+   * @return {Cursor}
+   * @api public
+   */
+  this.map = function(transform) {
+    if(typeof transform != 'function') throw new MongoError("map requires a function");
+    transforms.push({fn: transform});
+    return self;
+  }
+
+  /**
+   * Only return the documents the predicate returns true for, applies to nextObject, each, toArray,
+   * streams and async iteration. Multiple maps and filters are applied in the order added.
+   *
+   * @param {Function} predicate the function called with each document.
+   * @return {Cursor}
+   * @api public
+   */
+  this.filter = function(predicate) {
+    if(typeof predicate != 'function') throw new MongoError("filter requires a function");
+    transforms.push({fn: predicate, filter: true});
+    return self;
+  }
+
   this.nextObject = function(options, callback) {
     if('function' === typeof options) callback = options, options = {};
-    if(state == Cursor.CLOSED || self.isDead()) return handleCallback(callback, new MongoError("Cursor is closed"));
+    if(peeked == null && (state == Cursor.CLOSED || self.isDead())) return handleCallback(callback, new MongoError("Cursor is closed"));
     if(state == Cursor.INIT && cmd.sort) {
       try {
         cmd.sort = formattedOrderClause(cmd.sort);
@@ -59,7 +253,7 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     }
     
     // Get the next object
-    self.next(function(err, doc) {
+    transformedNext(function(err, doc) {
       if(err && err.tailable && currentNumberOfRetries == 0) return callback(err);
       if(err && err.tailable && currentNumberOfRetries > 0) {
         currentNumberOfRetries = currentNumberOfRetries - 1;
@@ -80,21 +274,21 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     // No more items we are done
     if(self.bufferedCount() == 0) return;
     // Get the next document
-    self.next(callback);
+    nextBatch(callback);
     // Loop
     return loop;
   }
 
   this.each = function(callback) {
     if(!callback) throw new MongoError('callback is mandatory');
-    if(state == Cursor.CLOSED || self.isDead()) return handleCallback(callback, new MongoError("Cursor is closed"), null);
+    if(peeked == null && (state == Cursor.CLOSED || self.isDead())) return handleCallback(callback, new MongoError("Cursor is closed"), null);
     if(state == Cursor.INIT) state = Cursor.OPEN;
-    // Trampoline all the entries
-    if(self.bufferedCount() > 0) {
+    // Trampoline all the entries, transformed or peeked documents go through transformedNext
+    if(self.bufferedCount() > 0 && transforms.length == 0 && peeked == null) {
       while(fn = loop(self, callback)) fn(self, callback);
       self.each(callback);
     } else {
-      self.next(function(err, item) {
+      transformedNext(function(err, item) {
         if(err) return handleCallback(callback, err);
         if(item == null) return handleCallback(callback, null, null);
         if(!handleCallback(callback, null, item)) return;
@@ -103,11 +297,122 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     }
   };
 
+  /**
+   * Get the next document, applying the cursor maps and filters and
+   * returning the document fetched by hasNext first.
+   *
+   * @param {Function} [callback] this will be called with the document or null when exhausted.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.next = function(callback) {
+    if(callback && callback.coreNext) return coreNext.call(self, callback);
+    self.nextObject(callback);
+  }
+
+  /**
+   * Check if there is another document available without consuming it,
+   * the document is returned by the next call to next, nextObject, each, forEach or toArray.
+   *
+   * @param {Function} [callback] this will be called with a boolean.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.hasNext = function(callback) {
+    if(peeked != null) return handleCallback(callback, null, true);
+
+    self.nextObject(function(err, doc) {
+      if(err) return handleCallback(callback, err, null);
+      if(doc == null) return handleCallback(callback, null, false);
+      peeked = doc;
+      handleCallback(callback, null, true);
+    });
+  }
+
+  /**
+   * Iterate over all the documents, stopping early when the iterator returns false.
+   * The callback is called exactly once, with the first error or when iteration ends.
+   *
+   * @param {Function} iterator called with each document.
+   * @param {Function} [callback] called once iteration has finished or failed.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.forEach = function(iterator, callback) {
+    if(typeof iterator != 'function') throw new MongoError("forEach requires an iterator function");
+    if(typeof callback != 'function') return toPromise(self, self.forEach, [iterator]);
+    var finished = false;
+
+    // Only report the end of the iteration once
+    var done = function(err) {
+      if(finished) return;
+      finished = true;
+      handleCallback(callback, err || null);
+    }
+
+    var iterate = function() {
+      self.nextObject(function(err, doc) {
+        if(err) return done(err);
+        if(doc == null) return done();
+
+        try {
+          var result = iterator(doc);
+        } catch(err) {
+          return self.close(function() { done(err); });
+        }
+
+        // The iterator asked to stop early
+        if(result === false) return self.close(function() { done(); });
+        // Don't grow the stack when iterating buffered documents
+        process.nextTick(iterate);
+      });
+    }
+
+    iterate();
+  }
+
+  /**
+   * Reset the cursor to its initial state so the query is executed again on the next read.
+   *
+   * @return {Cursor}
+   * @api public
+   */
+  this.rewind = function() {
+    if(typeof coreRewind == 'function') coreRewind.call(self);
+    state = Cursor.INIT;
+    initialized = false;
+    peeked = null;
+    currentNumberOfRetries = numberOfRetries;
+    return self;
+  }
+
+  /**
+   * Create a new unexecuted cursor with the same query, options, maps and filters.
+   *
+   * @return {Cursor}
+   * @api public
+   */
+  this.clone = function() {
+    if(!topology) throw new MongoError("cursor cannot be cloned without a topology");
+    var cursor = topology.cursor(ns, shallowClone(cmd), shallowClone(options));
+
+    // Carry over the maps and filters
+    for(var i = 0; i < transforms.length; i++) {
+      if(transforms[i].filter) {
+        cursor.filter(transforms[i].fn);
+      } else {
+        cursor.map(transforms[i].fn);
+      }
+    }
+
+    return cursor;
+  }
+
   // Set the read preference on the cursor
   this.setReadPreference = function(r) {
     if(state != Cursor.INIT) throw new MongoError('cannot change cursor readPreference after cursor has been accessed');
     if(r instanceof ReadPreference) {
-      options.readPreference = new CoreReadPreference(r.mode, r.tags);
+      options.readPreference = r.toCoreReadPreference();
     } else {
       options.readPreference = new CoreReadPreference(r);
     }
@@ -124,12 +429,12 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
   this.toArray = function(callback) {
     if(!callback) throw new MongoError('callback is mandatory');
     if(options.tailable) return handleCallback(callback, new MongoError("Tailable cursor cannot be converted to array"), null);
-    if(state == Cursor.CLOSED || self.isDead()) return handleCallback(callback, new MongoError("Cursor is closed"), null);
+    if(peeked == null && (state == Cursor.CLOSED || self.isDead())) return handleCallback(callback, new MongoError("Cursor is closed"), null);
     var items = [];
 
     // Fetch all the documents
     var fetchDocs = function() {
-      self.next(function(err, doc) {
+      transformedNext(function(err, doc) {
         if(err) return handleCallback(callback, err);
         if(doc == null) {
           state = Cursor.CLOSED;
@@ -140,7 +445,18 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
         items.push(doc)
         // Get all buffered objects
         if(self.bufferedCount() > 0) {
-          items = items.concat(self.readBufferedDocuments(self.bufferedCount()));
+          var docs = self.readBufferedDocuments(self.bufferedCount());
+
+          // Apply the maps and filters to the buffered documents
+          for(var i = 0; i < docs.length; i++) {
+            try {
+              var result = applyTransforms(docs[i]);
+            } catch(err) {
+              return handleCallback(callback, err);
+            }
+
+            if(result !== FILTERED) items.push(result);
+          }
         }
 
         // Attempt a fetch
@@ -153,62 +469,42 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
 
   this.get = this.toArray;
 
-  this.count = function(applySkipLimit, options, callback) {
-    if(typeof options == 'function') callback = options, options = {};
-    options = options || {};
-    if(cmd.query == null) callback(new MongoError("count can only be used with find command"));
-    if(typeof applySkipLimit == 'function') {
-      callback = applySkipLimit;
-      applySkipLimit = false;
-    }
-
-    var options = {};
-    if(applySkipLimit) {
-      if(typeof this.cursorSkip == 'number') options.skip = this.cursorSkip;
-      if(typeof this.cursorLimit == 'number') options.limit = this.cursorLimit;    
-    }
+  this.count = function(applySkipLimit, opts, callback) {
+    if(typeof applySkipLimit == 'function') callback = applySkipLimit, applySkipLimit = false, opts = {};
+    if(typeof opts == 'function') callback = opts, opts = {};
+    opts = opts || {};
+    if(cmd.query == null) return handleCallback(callback, new MongoError("count can only be used with find command"));
+    if(options.db == null) return handleCallback(callback, new MongoError("count can only be used with cursors created by Collection.find"));
 
     // Command
     var command = {
-        'count': ns.split('.').pop(), 'query': cmd.query
-      , 'fields': null
+        'count': ns.split('.').slice(1).join('.'), 'query': cmd.query
     }
 
-    // If maxTimeMS set
-    if(typeof maxTimeMS == 'number') {
-      command.maxTimeMS = maxTimeMS;
+    if(applySkipLimit) {
+      if(typeof cmd.skip == 'number' && cmd.skip > 0) command.skip = cmd.skip;
+      if(typeof cmd.limit == 'number' && cmd.limit != 0) command.limit = Math.abs(cmd.limit);
     }
 
-    // Get a server
-    var server = topology.getServer(options);
-    // Get a connection
-    var connection = topology.getConnection(options);
-    // Get the callbacks
-    var callbacks = server.getCallbacks();
-
-    // Merge in any options
-    if(options.skip) command.skip = options.skip;
-    if(options.limit) command.limit = options.limit;
-    if(options.hint) command.hint = options.hint;
-
-    // Build Query object
-    var query = new Query(bson, f("%s.$cmd", ns.split('.').shift()), command, {
-        numberToSkip: 0, numberToReturn: -1
-      , checkKeys: false
-    });
+    // Apply the cursor hint, collation, read concern and maxTimeMS
+    if(cmd.hint) command.hint = cmd.hint;
+    if(cmd.collation) command.collation = cmd.collation;
+    if(cmd.readConcern) command.readConcern = cmd.readConcern;
+    if(typeof opts.maxTimeMS == 'number') {
+      command.maxTimeMS = opts.maxTimeMS;
+    } else if(typeof maxTimeMS == 'number') {
+      command.maxTimeMS = maxTimeMS;
+    }
 
-    // Set up callback
-    callbacks.once(query.requestId, function(err, result) {
+    // Execute using the cursor read preference
+    executeWithRetry(options.retryReads, function(callback) {
+      options.db.command(command, {
+        readPreference: opts.readPreference || options.readPreference, session: options.session
+      }, callback);
+    }, function(err, result) {
       if(err) return handleCallback(callback, err);
-      if(result.documents.length == 1 
-        && (result.documents[0].errmsg
-        || result.documents[0].err
-        || result.documents[0]['$err'])) return callback(MongoError.create(result.documents[0]));
-      handleCallback(callback, null, result.documents[0].n);
+      handleCallback(callback, null, result.n);
     });
-
-    // Write the initial command out
-    connection.write(query);
   };
 
   this.limit = function(value) {
@@ -258,8 +554,90 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     return this;
   }
 
+  // Query modifiers can only be changed before iteration starts
+  var checkNotStarted = function() {
+    if(self.started) throw new MongoError("Cursor is closed");
+  }
+
+  this.project = function(value) {
+    checkNotStarted();
+    cmd.fields = value;
+    return self;
+  }
+
+  this.hint = function(value) {
+    checkNotStarted();
+    cmd.hint = normalizeHintField(value);
+    return self;
+  }
+
+  this.min = function(value) {
+    checkNotStarted();
+    cmd.min = value;
+    return self;
+  }
+
+  this.max = function(value) {
+    checkNotStarted();
+    cmd.max = value;
+    return self;
+  }
+
+  this.comment = function(value) {
+    checkNotStarted();
+    cmd.comment = value;
+    return self;
+  }
+
+  this.returnKey = function(value) {
+    checkNotStarted();
+    cmd.returnKey = value;
+    return self;
+  }
+
+  this.showRecordId = function(value) {
+    checkNotStarted();
+    cmd.showDiskLoc = value;
+    return self;
+  }
+
+  this.maxScan = function(value) {
+    checkNotStarted();
+    if(typeof value != 'number') throw new MongoError("maxScan requires an integer");
+    cmd.maxScan = value;
+    return self;
+  }
+
+  this.snapshot = function(value) {
+    checkNotStarted();
+    cmd.snapshot = value;
+    return self;
+  }
+
+  this.addCursorFlag = function(flag, value) {
+    checkNotStarted();
+    if(Cursor.FLAGS.indexOf(flag) == -1) throw new MongoError(f("flag %s is not a supported flag %s", flag, Cursor.FLAGS));
+    if(typeof value != 'boolean') throw new MongoError(f("flag %s must be a boolean value", flag));
+    // Flags are read from the options, find also merges them into the command
+    options[flag] = value;
+    cmd[flag] = value;
+    return self;
+  }
+
+  this.addQueryModifier = function(name, value) {
+    checkNotStarted();
+    if(typeof name != 'string' || name[0] != '$') throw new MongoError(f("%s is not a valid query modifier", name));
+    // Strip the $ to get the command field
+    var field = name.substr(1);
+    if(field == 'orderby') field = 'sort';
+    if(field == 'showRecordId') field = 'showDiskLoc';
+    cmd[field] = value;
+    return self;
+  }
+
   this.close = function(callback) {
     state = Cursor.CLOSED;
+    peeked = null;
     // Kill the cursor
     this.kill();
     // Emit the close event for the cursor
@@ -283,13 +661,75 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
     return this;
   }
 
-  this.explain = function(callback) {
-    cmd.explain = true;
-    self.next(callback);
+  // Build the command sent for the initial query, the session is attached
+  // when iteration starts so transactions only start once the command is sent
+  var buildInitialCommand = function() {
+    if(!isCommand(cmd) || (isQuery(cmd) && cmd.explain)) return null;
+    var command = null;
+
+    // The OP_QUERY find cannot send a collation, read concern or session
+    if(isQuery(cmd) && (cmd.collation != null || cmd.readConcern != null || options.session)) {
+      command = findCommand();
+    }
+
+    if(!options.session) return command;
+    return applySession(options.session, options.monitor, command || cmd);
+  }
+
+  // Build a find command from the cursor query, used by explain and for
+  // queries with options only the find command supports
+  var findCommand = function() {
+    var command = {find: ns.split('.').slice(1).join('.'), filter: cmd.query};
+    if(cmd.fields && !Buffer.isBuffer(cmd.fields)) command.projection = cmd.fields;
+    if(cmd.sort) command.sort = formattedOrderClause(cmd.sort);
+    if(cmd.skip) command.skip = cmd.skip;
+    if(cmd.limit) command.limit = Math.abs(cmd.limit);
+    if(cmd.limit < 0) command.singleBatch = true;
+    if(cmd.showDiskLoc) command.showRecordId = cmd.showDiskLoc;
+    if(cmd.batchSize) command.batchSize = Math.abs(cmd.batchSize);
+    if(cmd.batchSize < 0) command.singleBatch = true;
+    if(options.partial) command.allowPartialResults = true;
+
+    for(var i = 0; i < FIND_COMMAND_FIELDS.length; i++) {
+      if(cmd[FIND_COMMAND_FIELDS[i]] != null) command[FIND_COMMAND_FIELDS[i]] = cmd[FIND_COMMAND_FIELDS[i]];
+    }
+
+    // Cursor flags are read from the options
+    for(var i = 0; i < FIND_COMMAND_FLAGS.length; i++) {
+      if(options[FIND_COMMAND_FLAGS[i]]) command[FIND_COMMAND_FLAGS[i]] = true;
+    }
+
+    return command;
+  }
+
+  this.explain = function(verbosity, callback) {
+    if(typeof verbosity == 'function') callback = verbosity, verbosity = null;
+    // Without a verbosity return the raw explain document
+    if(verbosity == null) {
+      cmd.explain = true;
+      return nextBatch(callback);
+    }
+
+    if(!isVerbosity(verbosity)) return handleCallback(callback, new MongoError(f("explain verbosity must be one of %s", VERBOSITY.join(', '))));
+    if(cmd.query == null || options.db == null) return handleCallback(callback, new MongoError("explain verbosity can only be used with find cursors"));
+
+    // Servers before 3.2 only support the $explain query modifier, which has no verbosity
+    if(options.db.serverConfig.capabilities().maxWireVersion < 4) return handleCallback(callback, new MongoError("explain verbosity requires MongoDB 3.2 or higher"));
+
+    try {
+      var command = {explain: findCommand(), verbosity: verbosity};
+    } catch(err) {
+      return handleCallback(callback, err);
+    }
+
+    options.db.command(command, {readPreference: options.readPreference, session: options.session}, function(err, result) {
+      if(err) return handleCallback(callback, err);
+      handleCallback(callback, null, summarizeExplain(result));
+    });
   }
 
   this._read = function(n) {
-    if(state == Cursor.CLOSED || self.isDead()) {
+    if(peeked == null && (state == Cursor.CLOSED || self.isDead())) {
       // options.db.removeListener('close', closeListener);
       return self.push(null);
     }
@@ -309,7 +749,49 @@ var Cursor = function(bson, ns, cmd, options, topology, topologyOptions) {
       // Return the result
       self.push(result);
     });
-  }  
+  }
+
+  // Return promises when no callback is provided
+  promisify(this, ['next', 'nextObject', 'hasNext', 'toArray', 'count', 'close', 'explain']);
+  this.get = this.toArray;
+
+  // Async iteration (for await...of) where the runtime supports it
+  if(typeof Symbol == 'function' && Symbol.asyncIterator) {
+    this[Symbol.asyncIterator] = function() {
+      var done = false;
+
+      // Finish the iteration, killing the server cursor if still alive
+      var finish = function() {
+        done = true;
+        return self.close();
+      }
+
+      return {
+        next: function() {
+          if(done) return Promise.resolve({value: undefined, done: true});
+
+          // Uses nextObject so tailable retries are applied
+          return self.nextObject().then(function(doc) {
+            if(doc == null) return finish().then(function() {
+              return {value: undefined, done: true};
+            });
+
+            return {value: doc, done: false};
+          }, function(err) {
+            return finish().then(function() { throw err; });
+          });
+        },
+
+        // Called when the loop exits early through break, return or throw
+        'return': function() {
+          if(done) return Promise.resolve({value: undefined, done: true});
+          return finish().then(function() {
+            return {value: undefined, done: true};
+          });
+        }
+      }
+    }
+  }
 }
 
 // Extend the Cursor
@@ -323,4 +805,145 @@ Cursor.OPEN = 1;
 Cursor.CLOSED = 2;
 Cursor.GET_MORE = 3;
 
+// Query options copied as is into the find command used by explain
+var FIND_COMMAND_FIELDS = ['hint', 'min', 'max', 'comment', 'returnKey', 'maxScan', 'snapshot', 'collation', 'readConcern', 'maxTimeMS'];
+
+// Cursor flags copied into the find command
+var FIND_COMMAND_FLAGS = ['tailable', 'oplogReplay', 'noCursorTimeout', 'awaitData'];
+
+// Is the cursor created from a command or query rather than a cursor id
+var isCommand = function(cmd) {
+  return cmd != null && typeof cmd == 'object' && !cmd._bsontype;
+}
+
+// Is the cursor command a find query
+var isQuery = function(cmd) {
+  return isCommand(cmd) && cmd.find != null;
+}
+
+// The core cursor reports command errors with the reply document as the message
+var commandError = function(err) {
+  return err && err.message != null && typeof err.message == 'object' ? toError(err.message) : err;
+}
+
+var commandErrorHandler = function(callback) {
+  return function(err) {
+    if(err) return callback(commandError(err));
+    callback.apply(this, arguments);
+  }
+}
+
+// Build the OP_QUERY message running a command against the $cmd collection,
+// as the core does for commands returning a cursor
+var commandQuery = function(bson, ns, command, topology, options) {
+  var readPreference = options.readPreference || new CoreReadPreference('primary');
+  if(typeof readPreference == 'string') readPreference = new CoreReadPreference(readPreference);
+
+  var finalCommand = shallowClone(command);
+  if(topology.type == 'mongos') finalCommand['$readPreference'] = readPreference.toJSON();
+
+  var query = new Query(bson, f("%s.$cmd", ns.split('.').shift()), finalCommand, {
+    numberToSkip: 0, numberToReturn: -1, checkKeys: false
+  });
+
+  query.slaveOk = readPreference.slaveOk();
+  return query;
+}
+
+// Topology handed to the core cursor, the core sends every find as an OP_QUERY and never
+// sends getMore and killCursors as commands, so the messages are replaced by the commands
+// returned by the cursor commands when there are any
+var commandTopology = function(topology, ns, commands) {
+  var finalTopology = Object.create(topology);
+
+  finalTopology.getServer = function(options) {
+    // The topology selects the server for read preferences mongodb-core does not support,
+    // errors are reported by the core cursor through the callback of the first next
+    var server = typeof options.selectServer == 'function' ? options.selectServer(options.readPreference) : null;
+    if(server instanceof Error) throw server;
+    server = server || topology.getServer(options);
+    var handler = server.wireProtocolHandler;
+    var callbacks = server.getCallbacks();
+    var finalServer = Object.create(server);
+    finalServer.wireProtocolHandler = Object.create(handler);
+    var initialReply = true;
+
+    // Command cursors continue on the namespace of the first reply, listCollections
+    // and listIndexes return cursors on a namespace other than the one of the command
+    finalServer.getCallbacks = function() {
+      return {
+        register: function(id, callback) {
+          if(!initialReply) return callbacks.register(id, callback);
+          initialReply = false;
+
+          var finalCallback = function(err, result) {
+            var reply = result && Array.isArray(result.documents) && result.documents.length == 1 ? result.documents[0] : null;
+            if(reply && reply.cursor && typeof reply.cursor.ns == 'string' && Array.isArray(reply.cursor.firstBatch)) {
+              commands.setNamespace(reply.cursor.ns);
+            }
+
+            callback(err, result);
+          }
+
+          // The core flags callbacks expecting raw documents
+          finalCallback.raw = callback.raw;
+          callbacks.register(id, finalCallback);
+        },
+
+        unregister: function(id) {
+          callbacks.unregister(id);
+        }
+      }
+    }
+
+    finalServer.wireProtocolHandler.command = function(bson, ns, cmd, cursorState, topology, options) {
+      var command = commands.initial();
+      if(command == null) return handler.command.apply(handler, arguments);
+      return commandQuery(bson, ns, command, topology, options);
+    }
+
+    finalServer.wireProtocolHandler.getMore = function(bson, ns, cursorState, batchSize, raw, connection, callbacks, options, callback) {
+      ns = commands.namespace();
+      var command = commands.getMore(cursorState.cursorId, batchSize);
+      if(command instanceof Error) return callback(command);
+      callback = commands.monitor(cursorState.cursorId, batchSize, command, callback);
+
+      if(command == null) {
+        return handler.getMore(bson, ns, cursorState, batchSize, raw, connection, callbacks, options, function(err) {
+          if(err) return callback(err);
+          callback(null, {cursor: {id: cursorState.cursorId, ns: ns, nextBatch: cursorState.documents}, ok: 1});
+        });
+      }
+
+      var query = commandQuery(bson, ns, command, topology, options);
+      callbacks.register(query.requestId, function(err, result) {
+        if(err) return callback(err);
+        var reply = result.documents[0] || {};
+        if(reply.ok == 0 || reply.errmsg || reply['$err'] || reply.cursor == null) return callback(toError(reply));
+
+        // Set all the values
+        cursorState.cursorId = typeof reply.cursor.id == 'number' ? Long.fromNumber(reply.cursor.id) : reply.cursor.id;
+        cursorState.documents = reply.cursor.nextBatch;
+        callback(null, reply);
+      });
+
+      connection.write(query);
+    }
+
+    finalServer.wireProtocolHandler.killCursor = function(bson, cursorId, connection, callback) {
+      var command = commands.killCursors(cursorId);
+      if(command == null || command instanceof Error) return handler.killCursor.apply(handler, arguments);
+      if(connection && connection.isConnected()) connection.write(commandQuery(bson, ns, command, topology, {}));
+      if(callback) callback(null, null);
+    }
+
+    return finalServer;
+  }
+
+  return finalTopology;
+}
+
+// Cursor flags settable through addCursorFlag
+Cursor.FLAGS = ['tailable', 'oplogReplay', 'noCursorTimeout', 'awaitData', 'exhaust', 'partial'];
+
 module.exports = Cursor;
\ No newline at end of file
@@ -4,7 +4,9 @@ var EventEmitter = require('events').EventEmitter
   , shallowClone = require('./utils').shallowClone
   , parseIndexOptions = require('./utils').parseIndexOptions
   , handleCallback = require('./utils').handleCallback
+  , promisify = require('./utils').promisify
   , toError = require('./utils').toError
+  , checkCollation = require('./utils').checkCollation
   , ReadPreference = require('./read_preference')
   , f = require('util').format
   , Admin = require('./admin')
@@ -13,8 +15,16 @@ var EventEmitter = require('events').EventEmitter
   , MongoError = require('mongodb-core').MongoError
   , ObjectID = require('mongodb-core').ObjectID
   , Collection = require('./collection')
+  , OplogWatcher = require('./oplog_watcher')
+  , SchemaValidator = require('./schema_validator')
+  , ClientSession = require('./session').ClientSession
+  , ImplicitSessions = require('./session').ImplicitSessions
+  , MONITORING_EVENTS = require('./apm').EVENTS.concat(require('./sdam').EVENTS)
   , crypto = require('crypto');
 
+// Error returned by listIndexes for a collection that does not exist
+var NAMESPACE_NOT_FOUND = 26;
+
 var Db = function(databaseName, topology, options) {
   options = options || {};
   if(!(this instanceof Db)) return new Db(databaseName, topology, options);  
@@ -33,6 +43,9 @@ var Db = function(databaseName, topology, options) {
   // Unpack read preference
   var readPreference = options.readPreference;
 
+  // Default read concern of the collections
+  var readConcern = options.readConcern || null;
+
   // Set buffermaxEntries
   var bufferMaxEntries = typeof options.bufferMaxEntries == 'number' ? options.bufferMaxEntries : -1;
 
@@ -89,6 +102,19 @@ var Db = function(databaseName, topology, options) {
     }
   });  
 
+  Object.defineProperty(this, 'readConcern', {
+    enumerable:true,
+    get: function() { return readConcern; }
+  });
+
+  // Sessions of the retryable writes run without a session
+  var implicitSessions = new ImplicitSessions(topology);
+
+  Object.defineProperty(this, 'implicitSessions', {
+    enumerable:false,
+    get: function() { return implicitSessions; }
+  });
+
   Object.defineProperty(this, 'writeConcern', {
     enumerable:true,
     get: function() { 
@@ -136,8 +162,7 @@ var Db = function(databaseName, topology, options) {
     if(options.readPreference && typeof options.readPreference == 'string') {
       options.readPreference = new CoreReadPreference(options.readPreference);
     } else if(options.readPreference instanceof ReadPreference) {
-      options.readPreference = new CoreReadPreference(options.readPreference.mode
-        , options.readPreference.tags);
+      options.readPreference = options.readPreference.toCoreReadPreference();
     }
 
     // Execute command
@@ -147,10 +172,33 @@ var Db = function(databaseName, topology, options) {
     });
   }
 
+  /**
+   * Start a logical session, pass it as the **session** option of operations to
+   * read your own writes when reading from secondaries. Requires MongoDB 3.6 or higher.
+   *
+   * Options
+   *  - **causalConsistency** {Boolean, default:true} reads see the results of the previous operations of the session.
+   *  - **defaultTransactionOptions** {Object, default:null} the readConcern, writeConcern and maxCommitTimeMS used by the transactions of the session.
+   *
+   * @param {Object} [options] optional settings for the session.
+   * @return {ClientSession}
+   * @api public
+   */
+  this.startSession = function(options) {
+    var capabilities = topology.capabilities();
+    if(capabilities == null || !capabilities.hasSessions) {
+      throw new MongoError(f("sessions are not supported by this server (maxWireVersion %s), MongoDB 3.6 or higher is required"
+        , capabilities ? capabilities.maxWireVersion : 0));
+    }
+
+    return new ClientSession(topology, options);
+  }
+
   this.close = function(force, callback) {
     if(typeof force == 'function') callback = force, force = false;
     // if(force) applicationClosed = true;
     topology.close(force);
+    removeRelays();
     if(this.listeners('close').length > 0) self.emit('close');
     this.removeAllListeners('close');
     if(parentDb) parentDb.close();
@@ -162,6 +210,41 @@ var Db = function(databaseName, topology, options) {
     handleCallback(callback, null, new Admin(this, topology));
   };
 
+  // Schema validators registered by collection name
+  var schemas = {};
+
+  /**
+   * Register a JSON schema the documents inserted, replaced or upserted into a collection must match.
+   * Applies to all the collection instances for the name without their own **schema** option.
+   * Upserts with update operators are only partially validated, the fields they set are checked
+   * but required properties and minProperties are not.
+   *
+   * Options
+   *  - **schemaAction** {String, default:'reject'} **reject** fails the write, **warn** performs the write and emits **validationWarning** on the db.
+   *
+   * @param {String} name the collection name.
+   * @param {Object} schema the JSON schema, pass null to remove the registered schema.
+   * @param {Object} [options] additional options for the validator.
+   * @return {SchemaValidator} the registered validator
+   * @api public
+   */
+  this.registerSchema = function(name, schema, options) {
+    if(schema == null) {
+      delete schemas[name];
+      return null;
+    }
+
+    schemas[name] = new SchemaValidator(schema, self, options);
+    return schemas[name];
+  }
+
+  /**
+   * @ignore
+   */
+  this.schemaValidator = function(name) {
+    return schemas[name] || null;
+  }
+
   this.collection = function(name, options, callback) {
     if(typeof options == 'function') callback = options, options = {};
     options = options || {};
@@ -178,7 +261,7 @@ var Db = function(databaseName, topology, options) {
     }
 
     // Strict mode
-    self.collectionNames(name, function(err, collections) {
+    self.listCollections({name: name}, {nameOnly: true}).toArray(function(err, collections) {
       if(err != null) return handleCallback(callback, err, null);
       if(collections.length == 0) return handleCallback(callback, toError(f("Collection %s does not exist. Currently in strict mode.", name)), null);
       try {
@@ -200,15 +283,9 @@ var Db = function(databaseName, topology, options) {
     var finalOptions = writeConcern(shallowClone(options), self, options);
 
     // Check if we have the name
-    this.collectionNames(name, function(err, collections) {
+    self.listCollections({name: name}, {nameOnly: true}).toArray(function(err, collections) {
       if(err != null) return handleCallback(callback, err, null);
-      var found = false;
-      for(var i = 0; i < collections.length; i++) {
-        if(collections[i].name == databaseName + "." + name) {
-          found = true;
-          break;
-        }
-      }
+      var found = collections.length > 0;
 
       // If the collection exists either throw an exception (if db in safe mode) or return the existing collection
       if(found && finalOptions && finalOptions.strict) {
@@ -270,22 +347,71 @@ var Db = function(databaseName, topology, options) {
       cursor.toArray(function(err, documents) {
         if(err != null) return handleCallback(callback, err, null);
 
-        // List of result documents that have been filtered
-        var filtered_documents = documents.filter(function(document) {
-          return !(document.name.indexOf(databaseName) == -1 || document.name.indexOf('$') != -1);
-        });
-
         // If we are returning only the names
         if(options.namesOnly) {
-          filtered_documents = filtered_documents.map(function(document) { return document.name });
+          documents = documents.map(function(document) { return document.name });
         }
 
         // Return filtered items
-        handleCallback(callback, null, filtered_documents);
+        handleCallback(callback, null, documents);
       });
     });
   };
 
+  /**
+   * Get a cursor over the collections of the database using the listCollections
+   * command, servers before 3.0 fall back to querying **system.namespaces**.
+   *
+   * Options
+   *  - **nameOnly** {Boolean}, only return the name and type of the collections.
+   *  - **batchSize** {Number}, the batch size of the cursor.
+   *
+   * @param {Object} [filter] query the collection documents ({name, type, options}) must match.
+   * @param {Object} [options] additional options for the command.
+   * @return {Cursor}
+   * @api public
+   */
+  this.listCollections = function(filter, options) {
+    filter = filter || {};
+    options = options || {};
+
+    // Ensure we have the right read preference inheritance
+    var cursorOptions = getReadPreference(shallowClone(options), self);
+    delete cursorOptions.nameOnly;
+    delete cursorOptions.batchSize;
+
+    var capabilities = topology.capabilities();
+    if(capabilities == null || capabilities.hasListCollectionsCommand) {
+      var cmd = {listCollections: 1, filter: filter, cursor: {}};
+      if(options.nameOnly) cmd.nameOnly = true;
+      if(typeof options.batchSize == 'number') cmd.cursor.batchSize = options.batchSize;
+      return topology.cursor(f("%s.$cmd", databaseName), cmd, cursorOptions);
+    }
+
+    return listLegacyCollections(filter, options);
+  }
+
+  // Query system.namespaces and rewrite the documents to match the listCollections format
+  var listLegacyCollections = function(filter, options) {
+    var selector = shallowClone(filter);
+    var prefix = databaseName + ".";
+    if(typeof selector.name == 'string') selector.name = prefix + selector.name;
+
+    var cursor = self.collection(Db.SYSTEM_NAMESPACE_COLLECTION).find(selector);
+    if(typeof options.batchSize == 'number') cursor.batchSize(options.batchSize);
+
+    // Skip index namespaces and strip the database name
+    return cursor.filter(function(doc) {
+      return doc.name.indexOf(prefix) == 0 && doc.name.indexOf('$') == -1;
+    }).map(function(doc) {
+      var name = doc.name.substr(prefix.length);
+      if(options.nameOnly) return {name: name, type: 'collection'};
+      doc.name = name;
+      doc.type = 'collection';
+      return doc;
+    });
+  }
+
   this.eval = function(code, parameters, options, callback) {
     var args = Array.prototype.slice.call(arguments, 1);
     callback = args.pop();
@@ -328,10 +454,16 @@ var Db = function(databaseName, topology, options) {
     // Create selector
     var selector = {};
     // If we are limiting the access to a specific collection name
-    if(name != null) selector.name = databaseName + "." + name;
+    if(name != null) selector.name = name;
+    // Keep returning the full namespace as the name
+    var cursor = self.listCollections(selector).map(function(doc) {
+      doc.name = databaseName + "." + doc.name;
+      return doc;
+    });
+
     // Return a cursor using a callback
-    if(callback) handleCallback(callback, null, self.collection(Db.SYSTEM_NAMESPACE_COLLECTION).find(selector));
-    return self.collection(Db.SYSTEM_NAMESPACE_COLLECTION).find(selector);
+    if(callback) handleCallback(callback, null, cursor);
+    return cursor;
   }; 
 
   this.renameCollection = function(fromCollection, toCollection, options, callback) {
@@ -409,6 +541,10 @@ var Db = function(databaseName, topology, options) {
       throw new Error("Cannot use a writeConcern without a provided callback");
     }
 
+    // Index collations require MongoDB 3.4
+    var collationError = checkCollation(topology, options.collation);
+    if(collationError) return handleCallback(callback, collationError);
+
     // Shallow clone the options
     options = shallowClone(options);
 
@@ -418,6 +554,9 @@ var Db = function(databaseName, topology, options) {
     // Attempt to run using createIndexes command
     createIndexUsingCreateIndexes(self, name, fieldOrSpec, options, function(err, result) {
       if(err == null) return handleCallback(callback, err, result);
+      // Only servers without the createIndexes command use system.indexes
+      var capabilities = topology.capabilities();
+      if(capabilities == null || capabilities.hasWriteCommands) return handleCallback(callback, err);
       // Create command
       var doc = createCreateIndexCommand(self, name, fieldOrSpec, options);
       // Insert document
@@ -467,6 +606,19 @@ var Db = function(databaseName, topology, options) {
     });
   }
 
+  /**
+   * Watch the replica set oplog for insert, update and delete operations on a namespace.
+   * See **OplogWatcher** for the available options and events.
+   *
+   * @param {String} ns the collection namespace (db.collection) or database name to watch.
+   * @param {Object} [options] additional options for the watcher.
+   * @return {OplogWatcher}
+   * @api public
+   */
+  this.watchOplog = function(ns, options) {
+    return new OplogWatcher(self, ns, options);
+  }
+
   this.db = function(dbName) {
     // Copy the options and add out internal override of the not shared flag
     var options = {};
@@ -828,16 +980,17 @@ var Db = function(databaseName, topology, options) {
 
     // If we specified full information
     var full = options['full'] == null ? false : options['full'];
-    // Build selector for the indexes
-    var selector = name != null ? {ns: (databaseName + "." + name)} : {};
-
     // Get read preference if we set one
     readPreference = ReadPreference.PRIMARY;
 
-    // Iterate through all the fields of the index
-    var collection = this.collection(Db.SYSTEM_INDEX_COLLECTION);
-    // Perform the find for the collection
-    collection.find(selector).setReadPreference(readPreference).toArray(function(err, indexes) {
+    // Use listIndexes for a single collection, only system.indexes spans the whole database
+    var cursor = name != null
+      ? this.collection(name).listIndexes({readPreference: readPreference})
+      : this.collection(Db.SYSTEM_INDEX_COLLECTION).find({}).setReadPreference(readPreference);
+
+    cursor.toArray(function(err, indexes) {
+      // A collection that does not exist has no indexes
+      if(err != null && err.code == NAMESPACE_NOT_FOUND) err = null, indexes = [];
       if(err != null) return handleCallback(callback, err, null);
       // Contains all the information
       var info = {};
@@ -948,6 +1101,41 @@ var Db = function(databaseName, topology, options) {
   topology.once('parseError', createListener('parseError', self));
   topology.once('open', createListener('open', self));
   topology.once('fullsetup', createListener('fullsetup', self));
+
+  // Relay command and server monitoring events from the topology while someone listens
+  // for them, so unmonitored dbs pay no cost and dbs no longer used leave no listeners behind
+  var relays = {};
+  this.on('newListener', function(event) {
+    if(MONITORING_EVENTS.indexOf(event) == -1 || relays[event]) return;
+    relays[event] = function(e) {
+      self.emit(event, e);
+    }
+
+    topology.on(event, relays[event]);
+  });
+
+  this.on('removeListener', function(event) {
+    if(relays[event] == null || self.listeners(event).length > 0) return;
+    topology.removeListener(event, relays[event]);
+    delete relays[event];
+  });
+
+  // Stop relaying the monitoring events
+  var removeRelays = function() {
+    for(var event in relays) {
+      topology.removeListener(event, relays[event]);
+    }
+
+    relays = {};
+  }
+
+  // Return promises when no callback is provided, collectionsInfo is left out
+  // as it already returns its cursor when called without a callback
+  promisify(this, ['open', 'command', 'close', 'createCollection', 'stats', 'collectionNames'
+    , 'eval', 'renameCollection', 'dropCollection', 'dropDatabase', 'collections'
+    , 'executeDbAdminCommand', 'createIndex', 'ensureIndex', 'dereference', 'cursorInfo'
+    , 'dropIndex', 'reIndex', 'addUser', 'removeUser', 'authenticate', 'logout'
+    , 'indexInformation'], {eval: 1});
 }
 
 inherits(Db, EventEmitter);
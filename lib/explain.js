@@ -0,0 +1,158 @@
+var f = require('util').format
+  , shallowClone = require('./utils').shallowClone
+  , handleCallback = require('./utils').handleCallback
+  , MongoError = require('mongodb-core').MongoError;
+
+// Verbosity modes supported by the explain command
+var VERBOSITY = ['queryPlanner', 'executionStats', 'allPlansExecution'];
+
+// Execution statistics reported in the summary
+var STATS = ['docsExamined', 'keysExamined', 'nReturned', 'executionTimeMillis'];
+
+// Returns true if the value is a supported explain verbosity
+var isVerbosity = function(value) {
+  return VERBOSITY.indexOf(value) != -1;
+}
+
+// Convert a plan stage into a tree of {stage, indexName, keyPattern, inputStages}
+var normalizePlan = function(plan) {
+  if(plan == null) return null;
+  var node = {stage: plan.stage, inputStages: []};
+  if(plan.indexName) node.indexName = plan.indexName;
+  if(plan.keyPattern) node.keyPattern = plan.keyPattern;
+
+  // Each shard reports its own winning plan
+  var children = plan.inputStages || (plan.inputStage ? [plan.inputStage] : []);
+  if(Array.isArray(plan.shards)) {
+    children = plan.shards.map(function(shard) { return shard.winningPlan || shard.executionStages; });
+  }
+
+  for(var i = 0; i < children.length; i++) {
+    if(children[i] != null) node.inputStages.push(normalizePlan(children[i]));
+  }
+
+  return node;
+}
+
+// Convert a pre 3.0 explain document ({cursor: 'BtreeCursor a_1', ...}) into a plan
+var legacyPlan = function(raw) {
+  var parts = String(raw.cursor).split(' ');
+  if(parts[0] == 'BasicCursor') return {stage: 'COLLSCAN', inputStages: []};
+  var plan = {stage: 'IXSCAN', inputStages: []};
+  if(parts[1]) plan.indexName = parts[1];
+  return plan;
+}
+
+// Find the query explain document of an aggregation explain
+var aggregateQueryExplain = function(raw) {
+  var stages = raw.stages || raw.serverPipeline;
+  if(!Array.isArray(stages) || stages.length == 0 || stages[0].$cursor == null) return null;
+  // MongoDB 2.6 reports the legacy explain document as the plan
+  var cursor = stages[0].$cursor;
+  return cursor.queryPlanner == null && cursor.plan != null ? cursor.plan : cursor;
+}
+
+// Visit all nodes of a normalized plan
+var walk = function(node, visit) {
+  if(node == null) return;
+  visit(node);
+  for(var i = 0; i < node.inputStages.length; i++) walk(node.inputStages[i], visit);
+}
+
+/**
+ * Summarize a raw explain document returned by the server for a find or an aggregation.
+ *
+ * The summary contains
+ *  - **winningPlan** {Object}, the winning plan stage tree, each node has a stage, indexName, keyPattern and inputStages.
+ *  - **indexes** {Array}, the names of the indexes used by the winning plan.
+ *  - **index** {String}, the first index used or null when no index is used.
+ *  - **collectionScan** {Boolean}, the winning plan scans the collection.
+ *  - **sortInMemory** {Boolean}, the winning plan sorts the documents in memory.
+ *  - **docsExamined**, **keysExamined**, **nReturned** and **executionTimeMillis** {Number}, null unless execution stats are available.
+ *  - **warnings** {Array}, human readable warnings such as collection scans.
+ *  - **raw** {Object}, the explain document returned by the server.
+ *
+ * @ignore
+ * @api private
+ */
+var summarize = function(raw) {
+  var summary = {
+      winningPlan: null, indexes: [], index: null, collectionScan: false, sortInMemory: false
+    , docsExamined: null, keysExamined: null, nReturned: null, executionTimeMillis: null
+    , warnings: [], raw: raw
+  };
+
+  var explain = raw;
+  // Aggregations report the query in the $cursor stage
+  if(raw && raw.queryPlanner == null && raw.cursor == null) explain = aggregateQueryExplain(raw) || raw;
+  var namespace = null;
+
+  if(explain && explain.queryPlanner) {
+    namespace = explain.queryPlanner.namespace;
+    summary.winningPlan = normalizePlan(explain.queryPlanner.winningPlan);
+
+    var stats = explain.executionStats;
+    if(stats) {
+      summary.docsExamined = stats.totalDocsExamined;
+      summary.keysExamined = stats.totalKeysExamined;
+      summary.nReturned = stats.nReturned;
+      summary.executionTimeMillis = stats.executionTimeMillis;
+    }
+  } else if(explain && explain.cursor) {
+    summary.winningPlan = legacyPlan(explain);
+    summary.docsExamined = explain.nscannedObjects;
+    summary.keysExamined = summary.winningPlan.stage == 'IXSCAN' ? explain.nscanned : 0;
+    summary.nReturned = explain.n;
+    summary.executionTimeMillis = explain.millis;
+    summary.sortInMemory = explain.scanAndOrder == true;
+  }
+
+  walk(summary.winningPlan, function(node) {
+    if(node.stage == 'COLLSCAN') summary.collectionScan = true;
+    if(node.stage == 'SORT') summary.sortInMemory = true;
+    if(node.indexName && summary.indexes.indexOf(node.indexName) == -1) summary.indexes.push(node.indexName);
+  });
+
+  // Statistics not reported by the server are null
+  STATS.forEach(function(name) {
+    if(summary[name] == null) summary[name] = null;
+  });
+
+  summary.index = summary.indexes.length > 0 ? summary.indexes[0] : null;
+  if(summary.collectionScan) summary.warnings.push(namespace ? f("COLLSCAN on %s", namespace) : "COLLSCAN");
+  if(summary.sortInMemory) summary.warnings.push("sort performed in memory");
+  return summary;
+}
+
+/**
+ * Explain an aggregate command, using the explain command with the verbosity on
+ * MongoDB 3.6 or higher and the explain flag of the aggregate command before that,
+ * which only reports the queryPlanner verbosity.
+ *
+ * @ignore
+ * @api private
+ */
+var explainAggregate = function(db, command, verbosity, options, callback) {
+  var finalCommand = shallowClone(command);
+  delete finalCommand.cursor;
+  delete finalCommand.explain;
+
+  if(db.serverConfig.capabilities().maxWireVersion >= 6) {
+    finalCommand.cursor = {};
+    finalCommand = {explain: finalCommand, verbosity: verbosity};
+  } else if(verbosity == 'queryPlanner') {
+    finalCommand.explain = true;
+  } else {
+    return handleCallback(callback, new MongoError(f("explain verbosity %s of aggregate requires MongoDB 3.6 or higher", verbosity)));
+  }
+
+  db.command(finalCommand, options, function(err, result) {
+    if(err) return handleCallback(callback, err);
+    handleCallback(callback, null, summarize(result));
+  });
+}
+
+exports.VERBOSITY = VERBOSITY;
+exports.isVerbosity = isVerbosity;
+exports.summarize = summarize;
+exports.explainAggregate = explainAggregate;
@@ -0,0 +1,575 @@
+/**
+ * @fileOverview GridFSBucket is a stream based api to store and retrieve files
+ * in GridFS. Files are stored in the same **files** and **chunks** layout used
+ * by {@link GridStore} so both apis can read each others files.
+ */
+var Chunk = require('./chunk'),
+  ObjectID = require('mongodb-core').BSON.ObjectID,
+  Binary = require('mongodb-core').BSON.Binary,
+  MongoError = require('mongodb-core').MongoError,
+  handleCallback = require('../utils').handleCallback,
+  promisify = require('../utils').promisify,
+  crypto = require('crypto'),
+  f = require('util').format,
+  inherits = require('util').inherits,
+  Readable = require('stream').Readable || require('readable-stream').Readable,
+  Writable = require('stream').Writable || require('readable-stream').Writable;
+
+// Write concern keys picked from the bucket options
+var WRITE_CONCERN_KEYS = ['w', 'wtimeout', 'j', 'fsync'];
+
+/**
+ * A bucket of files stored in GridFS.
+ *
+ * Options
+ *  - **bucketName** {String}, the prefix of the files and chunks collections. Defaults to **{GridFSBucket.DEFAULT_BUCKET_NAME}**.
+ *  - **chunkSizeBytes** {Number}, default size of the chunks of uploaded files. Defaults to **{Chunk.DEFAULT_CHUNK_SIZE}**.
+ *  - **readPreference** {String}, the prefered read preference used when reading files.
+ *  - **w**, {Number/String, > -1 || 'majority' || tag name} the write concern for the operation where < 1 is no acknowlegement of write and w >= 1, w = 'majority' or tag acknowledges the write
+ *  - **wtimeout**, {Number, 0} set the timeout for waiting for write concern to finish (combines with w option)
+ *  - **fsync**, (Boolean, default:false) write waits for fsync before returning
+ *  - **j**, (Boolean, default:false) write waits for journal sync before returning
+ *
+ * @class Represents a GridFS bucket.
+ * @param {Db} db A database instance to interact with.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucket}
+ */
+var GridFSBucket = function GridFSBucket(db, options) {
+  if(!(this instanceof GridFSBucket)) return new GridFSBucket(db, options);
+  options = options || {};
+
+  this.db = db;
+  this.bucketName = options.bucketName || GridFSBucket.DEFAULT_BUCKET_NAME;
+  this.chunkSizeBytes = options.chunkSizeBytes || Chunk.DEFAULT_CHUNK_SIZE;
+  this.readPreference = options.readPreference;
+
+  // Only pass on an explicit write concern, otherwise use the db default
+  this.writeConcern = {};
+  for(var i = 0; i < WRITE_CONCERN_KEYS.length; i++) {
+    if(options[WRITE_CONCERN_KEYS[i]] != null) this.writeConcern[WRITE_CONCERN_KEYS[i]] = options[WRITE_CONCERN_KEYS[i]];
+  }
+
+  this.filesCollection = db.collection(this.bucketName + '.files');
+  this.chunksCollection = db.collection(this.bucketName + '.chunks');
+  // Indexes are ensured once before the first upload
+  this.indexesEnsured = false;
+
+  // Return promises when no callback is provided
+  promisify(this, ['delete', 'rename', 'drop']);
+}
+
+/**
+ * Default bucket name.
+ *
+ * @classconstant DEFAULT_BUCKET_NAME
+ */
+GridFSBucket.DEFAULT_BUCKET_NAME = 'fs';
+
+/**
+ * Returns a writable stream storing a new file in the bucket. The file document
+ * is written when the stream is ended, the **finish** event is emitted once it
+ * is stored and the document is available as **gridFSFile**.
+ *
+ * Options
+ *  - **chunkSizeBytes** {Number}, overrides the bucket chunk size for this file.
+ *  - **metadata** {Object}, arbitrary data the user wants to store.
+ *  - **contentType** {String}, mime type of the file.
+ *  - **aliases** {Array}, list of aliases for the file.
+ *
+ * @param {String} filename the name of the file.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucketWriteStream}
+ * @api public
+ */
+GridFSBucket.prototype.openUploadStream = function(filename, options) {
+  return new GridFSBucketWriteStream(this, new ObjectID(), filename, options);
+}
+
+/**
+ * Returns a writable stream storing a new file with the given id in the bucket.
+ *
+ * @param {Any} id the _id of the new file.
+ * @param {String} filename the name of the file.
+ * @param {Object} [options] optional settings, see **openUploadStream**.
+ * @return {GridFSBucketWriteStream}
+ * @api public
+ */
+GridFSBucket.prototype.openUploadStreamWithId = function(id, filename, options) {
+  return new GridFSBucketWriteStream(this, id, filename, options);
+}
+
+/**
+ * Returns a readable stream of the contents of the file with the given id.
+ *
+ * Options
+ *  - **start** {Number}, the byte offset to start reading from. Defaults to 0.
+ *  - **end** {Number}, the byte offset to stop reading at (exclusive). Defaults to the file length.
+ *
+ * @param {Any} id the _id of the file.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucketReadStream}
+ * @api public
+ */
+GridFSBucket.prototype.openDownloadStream = function(id, options) {
+  return new GridFSBucketReadStream(this, {_id: id}, null, 0, options);
+}
+
+/**
+ * Returns a readable stream of the contents of a revision of the file with the
+ * given name. Revisions are ordered by upload date: 0 is the original file,
+ * 1 the first revision and so on, -1 is the most recent revision, -2 the one
+ * before it and so on.
+ *
+ * Options
+ *  - **revision** {Number}, the revision to read. Defaults to -1.
+ *  - **start** {Number}, the byte offset to start reading from. Defaults to 0.
+ *  - **end** {Number}, the byte offset to stop reading at (exclusive). Defaults to the file length.
+ *
+ * @param {String} filename the name of the file.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucketReadStream}
+ * @api public
+ */
+GridFSBucket.prototype.openDownloadStreamByName = function(filename, options) {
+  options = options || {};
+  var revision = typeof options.revision == 'number' ? options.revision : -1;
+  var sort = revision >= 0 ? {uploadDate: 1} : {uploadDate: -1};
+  var skip = revision >= 0 ? revision : -revision - 1;
+  return new GridFSBucketReadStream(this, {filename: filename}, sort, skip, options);
+}
+
+/**
+ * Deletes the file with the given id and all its chunks.
+ *
+ * @param {Any} id the _id of the file.
+ * @param {Function} [callback] this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise.
+ * @return {null|Promise}
+ * @api public
+ */
+GridFSBucket.prototype.delete = function(id, callback) {
+  var self = this;
+
+  self.filesCollection.remove({_id: id}, writeOptions(self, {single: true}), function(err, n) {
+    if(err) return handleCallback(callback, err);
+
+    // Always remove the chunks, they may be left over from an aborted upload
+    self.chunksCollection.remove({files_id: id}, writeOptions(self), function(err) {
+      if(err) return handleCallback(callback, err);
+      if(!n && acknowledged(self)) return handleCallback(callback, fileNotFound(id));
+      handleCallback(callback, null);
+    });
+  });
+}
+
+/**
+ * Renames the file with the given id.
+ *
+ * @param {Any} id the _id of the file.
+ * @param {String} filename the new name of the file.
+ * @param {Function} [callback] this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise.
+ * @return {null|Promise}
+ * @api public
+ */
+GridFSBucket.prototype.rename = function(id, filename, callback) {
+  var self = this;
+
+  this.filesCollection.update({_id: id}, {$set: {filename: filename}}, writeOptions(this), function(err, n) {
+    if(err) return handleCallback(callback, err);
+    if(!n && acknowledged(self)) return handleCallback(callback, fileNotFound(id));
+    handleCallback(callback, null);
+  });
+}
+
+/**
+ * Returns a cursor over the file documents of the bucket.
+ *
+ * @param {Object} [filter] the query to match files against.
+ * @param {Object} [options] optional find settings (sort, skip, limit, batchSize, maxTimeMS).
+ * @return {Cursor}
+ * @api public
+ */
+GridFSBucket.prototype.find = function(filter, options) {
+  options = options || {};
+  if(this.readPreference && options.readPreference == null) options.readPreference = this.readPreference;
+  return this.filesCollection.find(filter || {}, options);
+}
+
+/**
+ * Removes the files and chunks collections of the bucket.
+ *
+ * @param {Function} [callback] this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise.
+ * @return {null|Promise}
+ * @api public
+ */
+GridFSBucket.prototype.drop = function(callback) {
+  var self = this;
+
+  self.filesCollection.drop(function(err) {
+    if(err) return handleCallback(callback, err);
+
+    self.chunksCollection.drop(function(err) {
+      if(err) return handleCallback(callback, err);
+      self.indexesEnsured = false;
+      handleCallback(callback, null);
+    });
+  });
+}
+
+/**
+ * Ensure the indexes used by GridStore exist before writing chunks
+ * @ignore
+ * @api private
+ */
+var ensureIndexes = function(bucket, callback) {
+  if(bucket.indexesEnsured) return callback(null);
+
+  bucket.filesCollection.ensureIndex([['filename', 1], ['uploadDate', 1]], writeOptions(bucket), function(err) {
+    if(err) return callback(err);
+
+    bucket.chunksCollection.ensureIndex([['files_id', 1], ['n', 1]], writeOptions(bucket), function(err) {
+      if(err) return callback(err);
+      bucket.indexesEnsured = true;
+      callback(null);
+    });
+  });
+}
+
+/**
+ * Merge the bucket write concern into a new options object
+ * @ignore
+ * @api private
+ */
+var writeOptions = function(bucket, options) {
+  var finalOptions = {};
+  for(var name in bucket.writeConcern) finalOptions[name] = bucket.writeConcern[name];
+  for(var name in options) finalOptions[name] = options[name];
+  return finalOptions;
+}
+
+/**
+ * Unacknowledged writes report no count, so a missing file can't be detected
+ * @ignore
+ * @api private
+ */
+var acknowledged = function(bucket) {
+  var concerns = [bucket.writeConcern, bucket.filesCollection.writeConcern, bucket.db.writeConcern];
+
+  for(var i = 0; i < concerns.length; i++) {
+    var writeConcern = concerns[i];
+    if(writeConcern.w == null && writeConcern.j == null && writeConcern.fsync == null) continue;
+    return writeConcern.w != 0 || writeConcern.j == true || writeConcern.fsync == true;
+  }
+
+  return true;
+}
+
+/**
+ * @ignore
+ * @api private
+ */
+var fileNotFound = function(id) {
+  var error = new MongoError(f('file not found for id %s', id instanceof ObjectID ? id.toHexString() : JSON.stringify(id)));
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * A writable stream storing a file in a GridFSBucket, created by
+ * **GridFSBucket.prototype.openUploadStream**.
+ *
+ * @class Represents a GridFS upload stream.
+ * @param {GridFSBucket} bucket the bucket to store the file in.
+ * @param {Any} id the _id of the file.
+ * @param {String} filename the name of the file.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucketWriteStream}
+ */
+var GridFSBucketWriteStream = function(bucket, id, filename, options) {
+  Writable.call(this);
+  options = options || {};
+
+  this.bucket = bucket;
+  this.id = id;
+  this.filename = filename;
+  this.options = options;
+  this.chunkSizeBytes = options.chunkSizeBytes || bucket.chunkSizeBytes;
+  // Stored file document, available once the stream finished
+  this.gridFSFile = null;
+
+  // Upload state
+  this.buffer = new Buffer(this.chunkSizeBytes);
+  this.position = 0;
+  this.n = 0;
+  this.length = 0;
+  this.md5 = crypto.createHash('md5');
+  this.ending = false;
+  this.errored = false;
+}
+
+inherits(GridFSBucketWriteStream, Writable);
+
+/**
+ * Split incoming data in chunks and store every full chunk
+ * @ignore
+ * @api private
+ */
+GridFSBucketWriteStream.prototype._write = function(data, encoding, callback) {
+  var self = this;
+  if(!Buffer.isBuffer(data)) data = new Buffer(data, encoding);
+
+  ensureIndexes(self.bucket, function(err) {
+    if(err) return fail(self, err, callback);
+
+    self.md5.update(data);
+    self.length = self.length + data.length;
+
+    // Fill the chunk buffer, saving it every time it is full
+    var docs = [];
+    var offset = 0;
+    while(offset < data.length) {
+      var size = Math.min(self.chunkSizeBytes - self.position, data.length - offset);
+      data.copy(self.buffer, self.position, offset, offset + size);
+      self.position = self.position + size;
+      offset = offset + size;
+
+      if(self.position == self.chunkSizeBytes) {
+        docs.push(chunkDocument(self, self.buffer));
+        self.buffer = new Buffer(self.chunkSizeBytes);
+        self.position = 0;
+      }
+    }
+
+    if(docs.length == 0) return callback();
+    self.bucket.chunksCollection.insert(docs, writeOptions(self.bucket), function(err) {
+      if(err) return fail(self, err, callback);
+      callback();
+    });
+  });
+}
+
+/**
+ * Ends the stream, storing the last chunk and the file document once all
+ * pending writes are flushed.
+ *
+ * @param {Buffer|String} [chunk] optional data to write before ending the stream.
+ * @param {String} [encoding] the encoding of chunk if it is a string.
+ * @param {Function} [callback] called once the file document is stored.
+ * @return {null}
+ * @api public
+ */
+GridFSBucketWriteStream.prototype.end = function(chunk, encoding, callback) {
+  var self = this;
+  if(typeof chunk == 'function') callback = chunk, chunk = null, encoding = null;
+  if(typeof encoding == 'function') callback = encoding, encoding = null;
+  if(self.ending) return;
+  self.ending = true;
+
+  if(chunk != null) self.write(chunk, encoding);
+  // The empty write is only processed after every previous write is stored
+  self.write(new Buffer(0), function() {
+    if(self.errored) return;
+
+    writeRemnant(self, function(err) {
+      if(err) return fail(self, err);
+
+      var doc = {
+        _id: self.id,
+        length: self.length,
+        chunkSize: self.chunkSizeBytes,
+        uploadDate: new Date(),
+        md5: self.md5.digest('hex'),
+        filename: self.filename
+      };
+
+      if(self.options.contentType) doc.contentType = self.options.contentType;
+      if(self.options.aliases) doc.aliases = self.options.aliases;
+      if(self.options.metadata) doc.metadata = self.options.metadata;
+
+      self.bucket.filesCollection.insert(doc, writeOptions(self.bucket), function(err) {
+        if(err) return fail(self, err);
+        self.gridFSFile = doc;
+        Writable.prototype.end.call(self, callback);
+      });
+    });
+  });
+}
+
+/**
+ * Store the last partially filled chunk
+ * @ignore
+ * @api private
+ */
+var writeRemnant = function(self, callback) {
+  if(self.position == 0) return callback(null);
+  var doc = chunkDocument(self, self.buffer.slice(0, self.position));
+  self.position = 0;
+  self.bucket.chunksCollection.insert(doc, writeOptions(self.bucket), callback);
+}
+
+/**
+ * @ignore
+ * @api private
+ */
+var chunkDocument = function(self, data) {
+  return {_id: new ObjectID(), files_id: self.id, n: self.n++, data: new Binary(data)};
+}
+
+/**
+ * @ignore
+ * @api private
+ */
+var fail = function(self, err, callback) {
+  self.errored = true;
+  if(typeof callback == 'function') return callback(err);
+  self.emit('error', err);
+}
+
+/**
+ * A readable stream of the contents of a file stored in a GridFSBucket,
+ * created by **GridFSBucket.prototype.openDownloadStream**. Emits a **file**
+ * event with the file document before the first data is pushed.
+ *
+ * @class Represents a GridFS download stream.
+ * @param {GridFSBucket} bucket the bucket holding the file.
+ * @param {Object} filter the query selecting the file.
+ * @param {Object} sort the sort used to select between several matching files.
+ * @param {Number} skip the number of matching files to skip.
+ * @param {Object} [options] optional settings.
+ * @return {GridFSBucketReadStream}
+ */
+var GridFSBucketReadStream = function(bucket, filter, sort, skip, options) {
+  Readable.call(this);
+  options = options || {};
+
+  this.bucket = bucket;
+  this.filter = filter;
+  this.sort = sort;
+  this.skip = skip;
+  this.start = options.start || 0;
+  this.end = options.end;
+  // The file document once it is read
+  this.file = null;
+
+  // Download state
+  this.cursor = null;
+  this.expectedN = 0;
+  this.offset = 0;
+  this.done = false;
+}
+
+inherits(GridFSBucketReadStream, Readable);
+
+/**
+ * @ignore
+ * @api private
+ */
+GridFSBucketReadStream.prototype._read = function() {
+  var self = this;
+  if(self.done) return;
+  if(self.file == null) return init(self);
+
+  self.cursor.nextObject(function(err, chunk) {
+    if(self.done) return;
+    if(err) return abort(self, err);
+
+    if(chunk == null) {
+      return abort(self, new MongoError(f('chunk %s of file %s is missing', self.expectedN, self.file._id)));
+    }
+
+    if(chunk.n != self.expectedN) {
+      return abort(self, new MongoError(f('chunk %s of file %s is missing, found chunk %s', self.expectedN, self.file._id, chunk.n)));
+    }
+
+    var data = Buffer.isBuffer(chunk.data) ? chunk.data : chunk.data.read(0, chunk.data.length());
+    var expectedSize = Math.min(self.file.chunkSize, self.file.length - self.offset);
+    if(data.length != expectedSize) {
+      return abort(self, new MongoError(f('chunk %s of file %s is %s bytes, expected %s bytes', chunk.n, self.file._id, data.length, expectedSize)));
+    }
+
+    // Only push the part of the chunk inside the requested range
+    var begin = Math.max(0, self.start - self.offset);
+    var stop = Math.min(data.length, self.end - self.offset);
+    self.offset = self.offset + data.length;
+    self.expectedN = self.expectedN + 1;
+    self.push(data.slice(begin, stop));
+
+    // Reached the end of the range
+    if(self.offset >= self.end) {
+      finish(self);
+      self.push(null);
+    }
+  });
+}
+
+/**
+ * Read the file document and open the cursor over the chunks in range
+ * @ignore
+ * @api private
+ */
+var init = function(self) {
+  var options = {limit: 1, skip: self.skip};
+  if(self.sort) options.sort = self.sort;
+  if(self.bucket.readPreference) options.readPreference = self.bucket.readPreference;
+
+  self.bucket.filesCollection.find(self.filter, options).nextObject(function(err, file) {
+    if(self.done) return;
+    if(err) return abort(self, err);
+
+    if(file == null) {
+      var error = self.filter._id !== undefined
+        ? fileNotFound(self.filter._id)
+        : new MongoError(f('file not found for filename %s', self.filter.filename));
+      error.code = 'ENOENT';
+      return abort(self, error);
+    }
+
+    var end = self.end == null ? file.length : self.end;
+    if(self.start < 0 || self.start > file.length || end < self.start || end > file.length) {
+      return abort(self, new MongoError(f('range [%s, %s) is invalid for file of length %s', self.start, end, file.length)));
+    }
+
+    self.file = file;
+    self.end = end;
+    self.emit('file', file);
+
+    // Nothing to read
+    if(file.length == 0 || self.start == self.end) {
+      finish(self);
+      return self.push(null);
+    }
+
+    // Skip the chunks before the start of the range
+    self.expectedN = Math.floor(self.start / file.chunkSize);
+    self.offset = self.expectedN * file.chunkSize;
+
+    var query = {files_id: file._id, n: {$gte: self.expectedN}};
+    var options = {sort: {n: 1}};
+    if(self.bucket.readPreference) options.readPreference = self.bucket.readPreference;
+    self.cursor = self.bucket.chunksCollection.find(query, options);
+    self._read();
+  });
+}
+
+/**
+ * @ignore
+ * @api private
+ */
+var finish = function(self) {
+  self.done = true;
+  if(self.cursor) self.cursor.close();
+}
+
+/**
+ * @ignore
+ * @api private
+ */
+var abort = function(self, err) {
+  finish(self);
+  self.emit('error', err);
+}
+
+GridFSBucket.GridFSBucketWriteStream = GridFSBucketWriteStream;
+GridFSBucket.GridFSBucketReadStream = GridFSBucketReadStream;
+
+module.exports = GridFSBucket;
@@ -3,6 +3,9 @@ var parse = require('./url_parser')
   , Mongos = require('./mongos')
   , ReplSet = require('./replset')
   , ReadPreference = require('./read_preference')
+  , Logger = require('mongodb-core').Logger
+  , toPromise = require('./utils').toPromise
+  , shallowClone = require('./utils').shallowClone
   , Db = require('./db');
 
 function MongoClient() {
@@ -14,16 +17,18 @@ function MongoClient() {
  *  docs.mongodb.org/manual/reference/connection-string/
  *
  * Options
- *  - **uri_decode_auth** {Boolean, default:false} uri decode the user name and password for authentication
- *  - **db** {Object, default: null} a hash off options to set on the db object, see **Db constructor**
+ *  - **uri_decode_auth** {Boolean, default:false} deprecated, the user name and password are always uri decoded
+ *  - **warn** {Function, default:null} called with a message for every unknown or duplicate connection string option, without it the messages are logged through the driver Logger
+ *  - **dnsResolver** {Object, default:require('dns')} resolver used to look up the seed list of **mongodb+srv://** urls
+ *  - **db** {Object, default: null} a hash off options to set on the db object, see **Db constructor**, set **retryReads** or **retryWrites** to retry eligible operations once on failover, single document writes are retried on a MongoDB 3.6 or higher replica set or sharded cluster, writes without a **session** use an implicit session
  *  - **server** {Object, default: null} a hash off options to set on the server objects, see **Server** constructor**
  *  - **replSet** {Object, default: null} a hash off options to set on the replSet object, see **ReplSet** constructor**
  *  - **mongos** {Object, default: null} a hash off options to set on the mongos object, see **Mongos** constructor**
  *
  * @param {String} url connection url for MongoDB.
  * @param {Object} [options] optional options for insert command
- * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the initialized db object or null if an error occured.
- * @return {null}
+ * @param {Function} [callback] this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the initialized db object or null if an error occured.
+ * @return {Promise} returns a Promise if no callback passed
  * @api public
  */
 MongoClient.connect = function(url, options, callback) {
@@ -32,19 +37,32 @@ MongoClient.connect = function(url, options, callback) {
   options = args.length ? args.shift() : null;
   options = options || {};
 
+  // If callback is null return a promise
+  if(callback == null) return toPromise(MongoClient, MongoClient.connect, arguments);
+
+  // Log the connection string warnings unless the caller handles them
+  var parseOptions = shallowClone(options);
+  if(typeof parseOptions.warn != 'function') {
+    var logger = Logger('MongoClient', options);
+    parseOptions.warn = function(message) {
+      logger.error(message);
+    }
+  }
+
+  // Parse the string, resolving the seed list of mongodb+srv urls
+  parse(url, parseOptions, function(err, object) {
+    if(err) return callback(err, null);
+    _connect(url, object, options, callback);
+  });
+}
+
+var _connect = function(url, object, options, callback) {
   // Set default empty server options  
   var serverOptions = options.server || {};
   var mongosOptions = options.mongos || {};
   var replSetServersOptions = options.replSet || options.replSetServers || {};
   var dbOptions = options.db || {};
 
-  // If callback is null throw an exception
-  if(callback == null) 
-    throw new Error("no callback function provided");
-
-  // Parse the string
-  var object = parse(url, options);
-
   // Merge in any options for db in options object
   if(dbOptions) {
     for(var name in dbOptions) object.db_options[name] = dbOptions[name];
@@ -105,7 +123,7 @@ MongoClient.connect = function(url, options, callback) {
   var errorServers = {};
 
   // Failure modes
-  if(object.servers.length == 0) throw new Error("connection string must contain at least one seed host");
+  if(object.servers.length == 0) return callback(new Error("connection string must contain at least one seed host"), null);
 
   // If we have no db setting for the native parser try to set the c++ one first
   object.db_options.native_parser = _setNativeParser(object.db_options);
@@ -251,10 +269,8 @@ var _setNativeParser = function(db_options) {
 var _finishConnecting = function(serverConfig, object, options, callback) {
   // If we have a read Preference set
   if(object.db_options.read_preference) {
-    var readPreference = new ReadPreference(object.db_options.read_preference);
-    // If we have the tags set up
-    if(object.db_options.read_preference_tags)
-      readPreference = new ReadPreference(object.db_options.read_preference, object.db_options.read_preference_tags);
+    var readPreference = new ReadPreference(object.db_options.read_preference
+      , object.db_options.read_preference_tags, {maxStalenessSeconds: object.db_options.maxStalenessSeconds});
     // Add the read preference
     object.db_options.readPreference = readPreference;
   }
@@ -7,6 +7,14 @@ var EventEmitter = require('events').EventEmitter
   , Cursor = require('./cursor')
   , Server = require('./server')
   , Store = require('./topology_base').Store
+  , ConnectionPool = require('./topology_base').ConnectionPool
+  , instrument = require('./apm').instrument
+  , writeCommand = require('./apm').writeCommand
+  , applySession = require('./session').applySession
+  , updateSession = require('./session').updateSession
+  , executeSessionWrite = require('./session').executeSessionWrite
+  , TopologyMonitor = require('./sdam').TopologyMonitor
+  , addressOf = require('./sdam').addressOf
   , shallowClone = require('./utils').shallowClone;
 
 var Mongos = function(servers, options) {
@@ -30,6 +38,9 @@ var Mongos = function(servers, options) {
   // Shared global store
   var store = options.store || new Store(self, storeOptions);
 
+  // The connections commands and writes are checked out from
+  var pool = new ConnectionPool(options);
+
   // Set up event emitter
   EventEmitter.call(this);
 
@@ -45,11 +56,14 @@ var Mongos = function(servers, options) {
   var finalOptions = shallowClone(options);
 
   // Default values
-  finalOptions.size = options.poolSize || 5;  
+  finalOptions.size = pool.size;
   finalOptions.reconnect = typeof options.auto_reconnect == 'boolean' ? options.auto_reconnect : true;
   finalOptions.emitError = typeof options.emitError == 'boolean' ? options.emitError : true;
   finalOptions.cursorFactory = Cursor;
 
+  // mongodb-core can not fall back to plain connections, ssl=prefer always connects with ssl
+  if(finalOptions.ssl == 'prefer') finalOptions.ssl = true;
+
   // Add the store
   finalOptions.disconnectHandler = store;
 
@@ -104,6 +118,27 @@ var Mongos = function(servers, options) {
   // Add auth prbufferMaxEntriesoviders
   mongos.addAuthProvider('mongocr', new MongoCR());
 
+  // Single connection mongos topologies opened while operations wait for a connection
+  pool.start(mongos, function() {
+    var memberOptions = shallowClone(finalOptions);
+    memberOptions.size = 1;
+    memberOptions.reconnect = false;
+    delete memberOptions.disconnectHandler;
+    var member = new CMongos(seedlist, memberOptions);
+    member.addAuthProvider('mongocr', new MongoCR());
+    return member;
+  });
+
+  // Server discovery and monitoring of the proxies
+  var monitor = new TopologyMonitor(self, 'Sharded', finalOptions);
+  mongos.on('joined', function(t, server) {
+    monitor.addServer(addressOf(server), server);
+  });
+
+  mongos.on('left', function(t, server) {
+    monitor.markUnknown(addressOf(server));
+  });
+
   // Last ismaster
   Object.defineProperty(this, 'isMasterDoc', {
     enumerable:true, get: function() { return mongos.lastIsMaster(); }
@@ -149,6 +184,8 @@ var Mongos = function(servers, options) {
         });
 
         mongos.removeListener('connect', connectErrorHandler);
+        // Stop the heartbeats
+        monitor.close();
 
         // Try to callback
         try {
@@ -230,24 +267,43 @@ var Mongos = function(servers, options) {
 
   // Command
   this.command = function(ns, cmd, options, callback) {
-    mongos.command(ns, cmd, options, callback);
+    var session = options.session;
+
+    pool.execute(function(done, mongos) {
+      // Attach the session when the command is sent, a transaction starts with the first command sent
+      var finalCmd = session ? applySession(session, self, cmd) : cmd;
+      if(finalCmd instanceof Error) return done(finalCmd);
+      mongos.command(ns, finalCmd, options, instrument(self, ns, finalCmd, updateSession(session, done)));
+    }, callback);
   }
 
   // Insert
   this.insert = function(ns, ops, options, callback) {
-    mongos.insert(ns, ops, options, function(e, m) {
-      callback(e, m)
-    });
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'insert', ns, ops, options, callback);
+    pool.execute(function(done, mongos) {
+      mongos.insert(ns, ops, options, instrument(self, ns, writeCommand('insert', ns, ops, options), function(e, m) {
+        done(e, m)
+      }));
+    }, callback);
   }
 
   // Update
   this.update = function(ns, ops, options, callback) {
-    mongos.update(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'update', ns, ops, options, callback);
+    pool.execute(function(done, mongos) {
+      mongos.update(ns, ops, options, instrument(self, ns, writeCommand('update', ns, ops, options), done));
+    }, callback);
   }
 
   // Remove
   this.remove = function(ns, ops, options, callback) {
-    mongos.remove(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'remove', ns, ops, options, callback);
+    pool.execute(function(done, mongos) {
+      mongos.remove(ns, ops, options, instrument(self, ns, writeCommand('remove', ns, ops, options), done));
+    }, callback);
   }
 
   // IsConnected
@@ -258,6 +314,9 @@ var Mongos = function(servers, options) {
   // Insert
   this.cursor = function(ns, cmd, options) {
     options.disconnectHandler = store;
+    // The cursor attaches the session when it sends its commands
+    options.monitor = self;
+
     return mongos.cursor(ns, cmd, options);
   }
 
@@ -269,8 +328,15 @@ var Mongos = function(servers, options) {
     return mongos.lastIsMaster();
   }
 
+  // Description of the topology and all of its known servers
+  this.description = function() {
+    return monitor.description();
+  }
+
   this.close = function(forceClosed) {
     mongos.destroy();
+    monitor.close();
+    pool.flush();
     // We need to wash out all stored processes
     if(forceClosed == true) {
       storeOptions.force = forceClosed;
@@ -279,17 +345,16 @@ var Mongos = function(servers, options) {
   }
 
   this.auth = function() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    mongos.auth.apply(mongos, args);
+    pool.auth(arguments);
   }
 
   /**
-   * All raw connections
+   * All raw connections, the pool statistics are available on the **stats** property of the returned array
    * @method
    * @return {array}
    */
   this.connections = function() {
-    return mongos.connections();
+    return pool.connections();
   }      
 }
 
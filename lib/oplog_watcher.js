@@ -0,0 +1,233 @@
+var EventEmitter = require('events').EventEmitter
+  , inherits = require('util').inherits
+  , f = require('util').format
+  , MongoError = require('mongodb-core').MongoError
+  , Timestamp = require('mongodb-core').BSON.Timestamp;
+
+// Oplog operation codes mapped to event types
+var OPERATION_TYPES = {i: 'insert', u: 'update', d: 'delete'};
+
+/**
+ * Create a new OplogWatcher instance (INTERNAL TYPE, do not instantiate directly, use Db.watchOplog)
+ *
+ * Options
+ *  - **since** {Timestamp, default:null} only emit operations after this oplog position, defaults to the current end of the oplog.
+ *  - **operations** {Array, default:['insert', 'update', 'delete']} the operation types to emit.
+ *  - **restartInterval** {Number, default:1000} number of milliseconds to wait before re-opening the tailable cursor after it died or errored, an idle cursor is kept open.
+ *  - **positionStore** {Object, default:null} persists the resume position, must implement **load(ns, callback)** and **save(ns, timestamp, callback)**. A loaded position takes precedence over **since**.
+ *
+ * Events
+ *  - **insert** {Object} {type, ns, ts, id, document}
+ *  - **update** {Object} {type, ns, ts, id, selector, update}
+ *  - **delete** {Object} {type, ns, ts, id}
+ *  - **change** {Object} emitted for every operation above
+ *  - **resume** {Timestamp} the tailable cursor was re-opened after the given position
+ *  - **error** {Error} emitted when the cursor or the positionStore fails, the cursor is re-opened afterwards. As with any EventEmitter the error is thrown when no error listener is registered.
+ *
+ * @class Represents an OplogWatcher
+ * @param {Db} db the db instance the watcher was created from.
+ * @param {String} ns the namespace to watch, either a full collection namespace or a database name.
+ * @param {Object} [options] additional options for the watcher.
+ * @return {OplogWatcher} an OplogWatcher instance.
+ */
+var OplogWatcher = function(db, ns, options) {
+  if(!(this instanceof OplogWatcher)) return new OplogWatcher(db, ns, options);
+  options = options || {};
+  EventEmitter.call(this);
+  var self = this;
+
+  if(typeof ns != 'string' || ns.length == 0) throw new MongoError("namespace must be a non empty string");
+
+  // Unpack the options
+  var operations = Array.isArray(options.operations) ? options.operations : ['insert', 'update', 'delete'];
+  var restartInterval = typeof options.restartInterval == 'number' ? options.restartInterval : 1000;
+  var positionStore = options.positionStore || null;
+
+  // Translate the operation types to oplog op codes
+  var opCodes = [];
+  for(var code in OPERATION_TYPES) {
+    if(operations.indexOf(OPERATION_TYPES[code]) != -1) opCodes.push(code);
+  }
+
+  if(opCodes.length == 0) throw new MongoError("operations must contain at least one of insert, update or delete");
+
+  // A database name watches all the collections in the database
+  var nsFilter = ns.indexOf('.') == -1
+    ? new RegExp(f("^%s\\.", ns.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&")))
+    : ns;
+
+  // The oplog collection
+  var oplog = db.db('local').collection('oplog.rs');
+
+  // Current state
+  var position = options.since || null;
+  var cursor = null;
+  var stopped = false;
+  var restartTimer = null;
+
+  // The last seen oplog position
+  Object.defineProperty(this, 'position', {
+    enumerable:true, get: function() { return position; }
+  });
+
+  Object.defineProperty(this, 'namespace', {
+    enumerable:true, get: function() { return ns; }
+  });
+
+  // Turn an oplog entry into a typed event
+  var toEvent = function(op) {
+    var event = {type: OPERATION_TYPES[op.op], ns: op.ns, ts: op.ts};
+
+    if(op.op == 'i') {
+      event.id = op.o._id;
+      event.document = op.o;
+    } else if(op.op == 'u') {
+      event.id = op.o2 ? op.o2._id : null;
+      event.selector = op.o2;
+      event.update = op.o;
+    } else if(op.op == 'd') {
+      event.id = op.o._id;
+    }
+
+    return event;
+  }
+
+  // Re-open the cursor at the last seen position
+  var restart = function() {
+    if(stopped) return;
+    if(cursor) cursor.close();
+    cursor = null;
+
+    restartTimer = setTimeout(function() {
+      restartTimer = null;
+      if(stopped) return;
+      self.emit('resume', position);
+      tail();
+    }, restartInterval);
+  }
+
+  // Read the next oplog entry
+  var next = function() {
+    if(stopped) return;
+
+    cursor.nextObject(function(err, op) {
+      if(stopped) return;
+      // An idle oplog exhausts the retries of the tailable cursor, keep waiting on it while it is alive
+      if(err && err.tailable && !cursor.isDead()) return next();
+
+      // Re-open a dead cursor, errors other than the tailable retries running out are reported
+      if(err || op == null) {
+        restart();
+        if(err && !err.tailable) self.emit('error', err);
+        return;
+      }
+
+      // Update the resume position
+      position = op.ts;
+      var event = toEvent(op);
+      self.emit(event.type, event);
+      self.emit('change', event);
+
+      // No store, keep reading
+      if(positionStore == null) return next();
+
+      // Persist the position before moving on
+      positionStore.save(ns, position, function(err) {
+        if(stopped) return;
+        next();
+        if(err) self.emit('error', err);
+      });
+    });
+  }
+
+  // Open a tailable cursor on the oplog
+  var tail = function() {
+    var query = {ns: nsFilter, op: {$in: opCodes}};
+    if(position) query.ts = {$gt: position};
+
+    cursor = oplog.find(query, {
+        tailable: true, awaitdata: true, oplogReplay: true, timeout: false
+      , numberOfRetries: options.numberOfRetries, tailableRetryInterval: options.tailableRetryInterval
+    });
+
+    next();
+  }
+
+  // Locate the current end of the oplog, oplogReplay requires a ts filter so an empty
+  // oplog starts at the last write of the server or without one at the current time
+  var locateEnd = function(callback) {
+    oplog.find({}, {ts:1}).sort({$natural: -1}).limit(1).nextObject(function(err, op) {
+      if(err) return callback(err);
+      if(op) return callback(null, op.ts);
+
+      db.command({ismaster:1}, function(err, result) {
+        if(err) return callback(err);
+        var opTime = result.lastWrite && result.lastWrite.opTime;
+        if(opTime && opTime.ts) return callback(null, opTime.ts);
+        callback(null, new Timestamp(0, Math.floor(new Date().getTime() / 1000)));
+      });
+    });
+  }
+
+  // Establish the starting position
+  var start = function() {
+    var resolvePosition = function(err, ts) {
+      if(stopped) return;
+      if(err) {
+        restart();
+        return self.emit('error', err);
+      }
+
+      if(ts) position = ts;
+      if(position) return tail();
+
+      locateEnd(function(err, ts) {
+        if(stopped) return;
+        if(err) {
+          restart();
+          return self.emit('error', err);
+        }
+
+        position = ts;
+        tail();
+      });
+    }
+
+    if(positionStore) return positionStore.load(ns, resolvePosition);
+    resolvePosition(null, null);
+  }
+
+  /**
+   * Stop watching the oplog
+   *
+   * @param {Function} [callback] called once the tailable cursor has been closed
+   * @return {null}
+   * @api public
+   */
+  this.stop = function(callback) {
+    stopped = true;
+    if(restartTimer) clearTimeout(restartTimer);
+    restartTimer = null;
+    if(cursor) cursor.close();
+    cursor = null;
+    self.emit('stop');
+    if(typeof callback == 'function') callback(null, self);
+  }
+
+  /**
+   * Returns true if the watcher has been stopped
+   *
+   * @return {Boolean}
+   * @api public
+   */
+  this.isStopped = function() {
+    return stopped;
+  }
+
+  // Start on the next tick so listeners can be attached
+  process.nextTick(start);
+}
+
+inherits(OplogWatcher, EventEmitter);
+
+module.exports = OplogWatcher;
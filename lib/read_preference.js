@@ -1,3 +1,9 @@
+var MongoError = require('mongodb-core').MongoError
+  , CoreReadPreference = require('mongodb-core').ReadPreference;
+
+// Smallest maxStalenessSeconds accepted, the servers only refresh their last write every 10 seconds
+var MIN_MAX_STALENESS_SECONDS = 90;
+
 /**
  * A class representation of the Read Preference.
  *
@@ -8,17 +14,50 @@
  *  - **ReadPreference.SECONDARY_PREFERRED**, Read from a secondary if available, otherwise read from the primary.
  *  - **ReadPreference.NEAREST**, All modes read from among the nearest candidates, but unlike other modes, NEAREST will include both the primary and all secondaries in the random selection.
  *
+ * Tags are a single tag set or a list of tag sets tried in order, the first tag set matching
+ * any server is used. An empty tag set {} matches all servers.
+ *
+ * Options
+ *  - **maxStalenessSeconds** {Number, default:null} exclude secondaries lagging the primary by more than this, at least 90 seconds, -1 means no maximum.
+ *
  * @class Represents a Read Preference.
  * @param {String} the read preference type
- * @param {Object} tags
+ * @param {Object|Array} tags a tag set or a list of tag sets
+ * @param {Object} [options] optional settings.
  * @return {ReadPreference}
  */
-var ReadPreference = function(mode, tags) {
+var ReadPreference = function(mode, tags, options) {
   if(!(this instanceof ReadPreference))
-    return new ReadPreference(mode, tags);
+    return new ReadPreference(mode, tags, options);
+  options = options || {};
+
+  var tagSets = tags == null ? [] : (Array.isArray(tags) ? tags : [tags]);
+  var maxStalenessSeconds = options.maxStalenessSeconds == -1 ? null : options.maxStalenessSeconds;
+
+  // Tags and staleness only select secondaries
+  if(mode == ReadPreference.PRIMARY && tagSets.some(function(tagSet) { return Object.keys(tagSet).length > 0; })) {
+    throw new MongoError("primary read preference cannot be combined with tags");
+  }
+
+  if(maxStalenessSeconds != null) {
+    if(typeof maxStalenessSeconds != 'number' || maxStalenessSeconds < 0) {
+      throw new MongoError("maxStalenessSeconds must be a non negative number or -1");
+    }
+
+    if(mode == ReadPreference.PRIMARY) {
+      throw new MongoError("primary read preference cannot be combined with maxStalenessSeconds");
+    }
+
+    if(maxStalenessSeconds < MIN_MAX_STALENESS_SECONDS) {
+      throw new MongoError("maxStalenessSeconds must be at least " + MIN_MAX_STALENESS_SECONDS + " seconds");
+    }
+  }
+
   this._type = 'ReadPreference';
   this.mode = mode;
   this.tags = tags;
+  this.tagSets = tagSets;
+  this.maxStalenessSeconds = maxStalenessSeconds;
 }
 
 /**
@@ -49,9 +88,26 @@ ReadPreference.prototype.toObject = function() {
     object['tags'] = this.tags;
   }
 
+  if(this.maxStalenessSeconds != null) {
+    object['maxStalenessSeconds'] = this.maxStalenessSeconds;
+  }
+
   return object;
 }
 
+/**
+ * Convert to the mongodb-core read preference, keeping the maxStalenessSeconds
+ * and tag sets used by the replicaset server selection. mongodb-core takes a single
+ * tag set, it is given the first one.
+ * @ignore
+ */
+ReadPreference.prototype.toCoreReadPreference = function() {
+  var readPreference = new CoreReadPreference(this.mode, this.tagSets[0]);
+  readPreference.tagSets = this.tagSets;
+  if(this.maxStalenessSeconds != null) readPreference.maxStalenessSeconds = this.maxStalenessSeconds;
+  return readPreference;
+}
+
 /**
  * @ignore
  */
@@ -9,11 +9,58 @@ var EventEmitter = require('events').EventEmitter
   , MongoError = require('mongodb-core').MongoError
   , ServerCapabilities = require('./topology_base').ServerCapabilities
   , Store = require('./topology_base').Store
+  , ConnectionPool = require('./topology_base').ConnectionPool
   , CServer = require('mongodb-core').Server
   , CReplSet = require('mongodb-core').ReplSet
   , CoreReadPreference = require('mongodb-core').ReadPreference
+  , instrument = require('./apm').instrument
+  , writeCommand = require('./apm').writeCommand
+  , applySession = require('./session').applySession
+  , updateSession = require('./session').updateSession
+  , executeSessionWrite = require('./session').executeSessionWrite
+  , pinToTransaction = require('./session').pinToTransaction
+  , TopologyMonitor = require('./sdam').TopologyMonitor
+  , addressOf = require('./sdam').addressOf
   , shallowClone = require('./utils').shallowClone;
 
+// Read preference mode of the commands sent to the member selected by the topology monitor
+var SELECTED_SERVER = 'selectedServer';
+
+/**
+ * Read preference strategy returning the member with the address of the read preference,
+ * the commands still go through the replset picking up its not master handling
+ * @ignore
+ * @api private
+ */
+var SelectedServer = function() {
+  this.ha = function(topology, state, callback) {
+    callback(null, null);
+  }
+
+  this.pickServer = function(state, readPreference) {
+    var servers = state.getAll();
+    for(var i = 0; i < servers.length; i++) {
+      if(addressOf(servers[i]).toLowerCase() == readPreference.address) return servers[i];
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Read preference sending a command to the selected server, keeping the slaveOk and the
+ * connection checks of the original read preference
+ * @ignore
+ * @api private
+ */
+var selectedReadPreference = function(server, readPreference) {
+  var selected = new CoreReadPreference(SELECTED_SERVER, readPreference.tags);
+  selected.slaveOk = function() { return readPreference.slaveOk(); }
+  selected.equals = function(other) { return readPreference.equals(other); }
+  selected.address = addressOf(server).toLowerCase();
+  return selected;
+}
+
 var ReplSet = function(servers, options) {  
   if(!(this instanceof ReplSet)) return new ReplSet(servers, options);
   options = options || {};
@@ -35,6 +82,9 @@ var ReplSet = function(servers, options) {
   // Shared global store
   var store = options.store || new Store(self, storeOptions);
 
+  // The connections commands and writes are checked out from
+  var pool = new ConnectionPool(options);
+
   // Set up event emitter
   EventEmitter.call(this);
 
@@ -50,7 +100,7 @@ var ReplSet = function(servers, options) {
   var finalOptions = shallowClone(options);
 
   // Default values
-  finalOptions.size = options.poolSize || 5;  
+  finalOptions.size = pool.size;
   finalOptions.reconnect = typeof options.auto_reconnect == 'boolean' ? options.auto_reconnect : true;
   finalOptions.emitError = typeof options.emitError == 'boolean' ? options.emitError : true;
   finalOptions.cursorFactory = Cursor;
@@ -111,6 +161,9 @@ var ReplSet = function(servers, options) {
   // Add the non connection store
   finalOptions.disconnectHandler = store;
 
+  // mongodb-core can not fall back to plain connections, ssl=prefer always connects with ssl
+  if(finalOptions.ssl == 'prefer') finalOptions.ssl = true;
+
   // Translate the options
   if(options.sslCA) finalOptions.ca = options.sslCA;
   if(typeof options.sslValidate == 'boolean') finalOptions.rejectUnauthorized = options.sslValidate;
@@ -124,20 +177,43 @@ var ReplSet = function(servers, options) {
   var sCapabilities = null;
   // Add auth prbufferMaxEntriesoviders
   replset.addAuthProvider('mongocr', new MongoCR());
+  replset.addReadPreferenceStrategy(SELECTED_SERVER, new SelectedServer());
+
+  // Single connection replica set topologies opened while operations wait for a connection
+  pool.start(replset, function() {
+    var memberOptions = shallowClone(finalOptions);
+    memberOptions.size = 1;
+    memberOptions.reconnect = false;
+    delete memberOptions.disconnectHandler;
+    var member = new CReplSet(seedlist, memberOptions);
+    member.addAuthProvider('mongocr', new MongoCR());
+    member.addReadPreferenceStrategy(SELECTED_SERVER, new SelectedServer());
+    return member;
+  });
 
   // Listen to reconnect event
   replset.on('reconnect', function() {
     self.emit('reconnect');
     store.execute();
   });
+
+  // Server discovery and monitoring of the members
+  var monitor = new TopologyMonitor(self, 'ReplicaSet', finalOptions);
+  var localThresholdMS = options.secondaryAcceptableLatencyMS;
+  replset.on('joined', function(t, server) {
+    monitor.addServer(addressOf(server), server);
+  });
+
+  replset.on('left', function(t, server) {
+    monitor.markUnknown(addressOf(server));
+  });
   
   // Ensure the right read Preference object
   var translateReadPreference = function(options) {
     if(typeof options.readPreference == 'string') {
       options.readPreference = new CoreReadPreference(options.readPreference);
     } else if(options.readPreference instanceof ReadPreference) {
-      options.readPreference = new CoreReadPreference(options.readPreference.mode
-        , options.readPreference.tags);
+      options.readPreference = options.readPreference.toCoreReadPreference();
     }  
 
     return options;  
@@ -254,8 +330,9 @@ var ReplSet = function(servers, options) {
         });
 
         replset.removeListener('connect', connectErrorHandler);
-        // Destroy the replset
+        // Destroy the replset and stop the heartbeats
         replset.destroy();
+        monitor.close();
 
         // Try to callback
         try {
@@ -286,23 +363,51 @@ var ReplSet = function(servers, options) {
 
   // Command
   this.command = function(ns, cmd, options, callback) {
-    options = translateReadPreference(options);
-    replset.command(ns, cmd, options, callback);
+    options = translateReadPreference(pinToTransaction(options.session, options));
+    var session = options.session;
+
+    pool.execute(function(done, replset) {
+      // Read preferences with maxStalenessSeconds or tag sets select the member here
+      var server = monitor.selectServer(options.readPreference, localThresholdMS);
+      if(server instanceof Error) return done(server);
+      var commandOptions = options;
+      if(server) {
+        commandOptions = shallowClone(options);
+        commandOptions.readPreference = selectedReadPreference(server, options.readPreference);
+      }
+
+      // Attach the session when the command is sent, a transaction starts with the first command sent
+      var finalCmd = session ? applySession(session, self, cmd) : cmd;
+      if(finalCmd instanceof Error) return done(finalCmd);
+      replset.command(ns, finalCmd, commandOptions, instrument(self, ns, finalCmd, updateSession(session, done)));
+    }, callback);
   }
 
   // Insert
   this.insert = function(ns, ops, options, callback) {
-    replset.insert(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'insert', ns, ops, options, callback);
+    pool.execute(function(done, replset) {
+      replset.insert(ns, ops, options, instrument(self, ns, writeCommand('insert', ns, ops, options), done));
+    }, callback);
   }
 
   // Update
   this.update = function(ns, ops, options, callback) {
-    replset.update(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'update', ns, ops, options, callback);
+    pool.execute(function(done, replset) {
+      replset.update(ns, ops, options, instrument(self, ns, writeCommand('update', ns, ops, options), done));
+    }, callback);
   }
 
   // Remove
   this.remove = function(ns, ops, options, callback) {
-    replset.remove(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'remove', ns, ops, options, callback);
+    pool.execute(function(done, replset) {
+      replset.remove(ns, ops, options, instrument(self, ns, writeCommand('remove', ns, ops, options), done));
+    }, callback);
   }
 
   // IsConnected
@@ -316,8 +421,16 @@ var ReplSet = function(servers, options) {
 
   // Insert
   this.cursor = function(ns, cmd, options) {
-    options = translateReadPreference(options);
+    options = translateReadPreference(pinToTransaction(options.session, options));
     options.disconnectHandler = store;
+    // The cursor attaches the session when it sends its commands
+    options.monitor = self;
+
+    // Read preferences with maxStalenessSeconds or tag set lists select the member when the cursor starts
+    options.selectServer = function(readPreference) {
+      return monitor.selectServer(readPreference, localThresholdMS);
+    }
+
     return replset.cursor(ns, cmd, options);
   }
 
@@ -325,8 +438,15 @@ var ReplSet = function(servers, options) {
     return replset.lastIsMaster();
   }
 
+  // Description of the topology and all of its known servers
+  this.description = function() {
+    return monitor.description();
+  }
+
   this.close = function(forceClosed) {
     replset.destroy();
+    monitor.close();
+    pool.flush();
     // We need to wash out all stored processes
     if(forceClosed == true) {
       storeOptions.force = forceClosed;
@@ -340,17 +460,16 @@ var ReplSet = function(servers, options) {
   }
 
   this.auth = function() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    replset.auth.apply(replset, args);
+    pool.auth(arguments);
   }
 
   /**
-   * All raw connections
+   * All raw connections, the pool statistics are available on the **stats** property of the returned array
    * @method
    * @return {array}
    */
   this.connections = function() {
-    return replset.connections();
+    return pool.connections();
   }    
 }
 
@@ -0,0 +1,356 @@
+var f = require('util').format
+  , toError = require('./utils').toError
+  , isReplacementDocument = require('./utils').isReplacementDocument;
+
+// Error code the server uses for documents failing validation
+var DOCUMENT_VALIDATION_FAILURE = 121;
+
+// Supported validation actions
+var ACTIONS = ['reject', 'warn'];
+
+// Map BSON type names to the _bsontype of the bson classes
+var BSON_CLASSES = {
+    objectId: 'ObjectID', binData: 'Binary', timestamp: 'Timestamp', long: 'Long'
+  , decimal: 'Decimal128', javascript: 'Code', minKey: 'MinKey', maxKey: 'MaxKey'
+  , symbol: 'Symbol', int: 'Int32', double: 'Double'
+};
+
+// Returns the JSON schema type of a value
+var jsonType = function(value) {
+  if(value === null || value === undefined) return 'null';
+  if(Array.isArray(value)) return 'array';
+  if(typeof value == 'number') return 'number';
+  if(typeof value == 'string' || typeof value == 'boolean') return typeof value;
+  if(value._bsontype == 'Long' || value._bsontype == 'Double' || value._bsontype == 'Int32') return 'number';
+  if(value._bsontype || value instanceof Date || value instanceof RegExp || Buffer.isBuffer(value)) return 'bson';
+  if(typeof value == 'object') return 'object';
+  return typeof value;
+}
+
+// Returns true if the value has the JSON schema type
+var hasType = function(value, type) {
+  var actual = jsonType(value);
+  if(type == 'integer') return actual == 'number' && (typeof value != 'number' || value % 1 === 0);
+  return actual == type;
+}
+
+// Returns true if the value has the BSON type
+var hasBSONType = function(value, type) {
+  if(type == 'number') return jsonType(value) == 'number';
+  if(type == 'double') return typeof value == 'number' || (value != null && value._bsontype == 'Double');
+  if(type == 'int') return (typeof value == 'number' && value % 1 === 0 && value >= -2147483648 && value <= 2147483647)
+    || (value != null && value._bsontype == 'Int32');
+  if(type == 'bool') return typeof value == 'boolean';
+  if(type == 'date') return value instanceof Date;
+  if(type == 'regex') return value instanceof RegExp || (value != null && value._bsontype == 'BSONRegExp');
+  if(type == 'binData' && Buffer.isBuffer(value)) return true;
+  if(type == 'javascript' && typeof value == 'function') return true;
+  if(BSON_CLASSES[type]) return value != null && value._bsontype == BSON_CLASSES[type];
+  return hasType(value, type);
+}
+
+// Numeric value of a number or a bson number
+var toNumber = function(value) {
+  return typeof value == 'number' ? value : value.toNumber ? value.toNumber() : value.valueOf();
+}
+
+// Deep equality used by enum
+var equals = function(a, b) {
+  if(a === b) return true;
+  if(a == null || b == null || typeof a != 'object' || typeof b != 'object') return false;
+  if(a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() == b.getTime();
+  if(a._bsontype || b._bsontype) return a._bsontype == b._bsontype && typeof a.equals == 'function' && a.equals(b);
+  if(Array.isArray(a) != Array.isArray(b)) return false;
+
+  var keys = Object.keys(a);
+  if(keys.length != Object.keys(b).length) return false;
+
+  for(var i = 0; i < keys.length; i++) {
+    if(!equals(a[keys[i]], b[keys[i]])) return false;
+  }
+
+  return true;
+}
+
+// Join a property or array index onto a path
+var join = function(path, key) {
+  return path == '' ? String(key) : f('%s.%s', path, key);
+}
+
+// Validate a value against a schema, pushing {path, keyword, message} entries onto errors.
+// A partial document only holds some of the fields, so required properties and minProperties are not checked.
+var validateValue = function(schema, value, path, errors, partial) {
+  if(schema === true || schema == null) return;
+  if(schema === false) return errors.push({path: path, keyword: 'false', message: 'no value is allowed'});
+
+  var error = function(keyword, message) {
+    errors.push({path: path, keyword: keyword, message: message});
+  }
+
+  // Types
+  if(schema.type != null) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if(!types.some(function(type) { return hasType(value, type); }))
+      return error('type', f('must be of type %s', types.join(' or ')));
+  }
+
+  if(schema.bsonType != null) {
+    var bsonTypes = Array.isArray(schema.bsonType) ? schema.bsonType : [schema.bsonType];
+    if(!bsonTypes.some(function(type) { return hasBSONType(value, type); }))
+      return error('bsonType', f('must be of bson type %s', bsonTypes.join(' or ')));
+  }
+
+  if(Array.isArray(schema['enum']) && !schema['enum'].some(function(entry) { return equals(entry, value); }))
+    error('enum', 'must be one of the enumerated values');
+
+  // Numbers
+  if(jsonType(value) == 'number') {
+    var number = toNumber(value);
+    var exclusiveMinimum = schema.exclusiveMinimum === true;
+    var exclusiveMaximum = schema.exclusiveMaximum === true;
+
+    if(typeof schema.minimum == 'number' && (exclusiveMinimum ? number <= schema.minimum : number < schema.minimum))
+      error('minimum', f('must be %s %s', exclusiveMinimum ? '>' : '>=', schema.minimum));
+    if(typeof schema.maximum == 'number' && (exclusiveMaximum ? number >= schema.maximum : number > schema.maximum))
+      error('maximum', f('must be %s %s', exclusiveMaximum ? '<' : '<=', schema.maximum));
+    if(typeof schema.exclusiveMinimum == 'number' && number <= schema.exclusiveMinimum)
+      error('exclusiveMinimum', f('must be > %s', schema.exclusiveMinimum));
+    if(typeof schema.exclusiveMaximum == 'number' && number >= schema.exclusiveMaximum)
+      error('exclusiveMaximum', f('must be < %s', schema.exclusiveMaximum));
+    if(typeof schema.multipleOf == 'number' && (number / schema.multipleOf) % 1 !== 0)
+      error('multipleOf', f('must be a multiple of %s', schema.multipleOf));
+  }
+
+  // Strings
+  if(typeof value == 'string') {
+    if(typeof schema.minLength == 'number' && value.length < schema.minLength)
+      error('minLength', f('must be at least %s characters long', schema.minLength));
+    if(typeof schema.maxLength == 'number' && value.length > schema.maxLength)
+      error('maxLength', f('must be at most %s characters long', schema.maxLength));
+    if(schema.pattern != null && !new RegExp(schema.pattern).test(value))
+      error('pattern', f('must match the pattern %s', schema.pattern));
+  }
+
+  // Arrays
+  if(Array.isArray(value)) {
+    if(typeof schema.minItems == 'number' && value.length < schema.minItems)
+      error('minItems', f('must contain at least %s items', schema.minItems));
+    if(typeof schema.maxItems == 'number' && value.length > schema.maxItems)
+      error('maxItems', f('must contain at most %s items', schema.maxItems));
+
+    if(schema.uniqueItems === true) {
+      for(var i = 0; i < value.length; i++) {
+        for(var j = i + 1; j < value.length; j++) {
+          if(equals(value[i], value[j])) {
+            error('uniqueItems', f('must not contain duplicate items, %s and %s are equal', i, j));
+            i = value.length;
+            break;
+          }
+        }
+      }
+    }
+
+    for(var i = 0; i < value.length; i++) {
+      if(Array.isArray(schema.items)) {
+        if(i < schema.items.length) {
+          validateValue(schema.items[i], value[i], join(path, i), errors, partial);
+        } else if(schema.additionalItems != null) {
+          validateValue(schema.additionalItems, value[i], join(path, i), errors, partial);
+        }
+      } else if(schema.items != null) {
+        validateValue(schema.items, value[i], join(path, i), errors, partial);
+      }
+    }
+  }
+
+  // Embedded documents
+  if(jsonType(value) == 'object') {
+    var keys = Object.keys(value).filter(function(key) { return value[key] !== undefined; });
+    var properties = schema.properties || {};
+
+    if(!partial && typeof schema.minProperties == 'number' && keys.length < schema.minProperties)
+      error('minProperties', f('must have at least %s properties', schema.minProperties));
+    if(typeof schema.maxProperties == 'number' && keys.length > schema.maxProperties)
+      error('maxProperties', f('must have at most %s properties', schema.maxProperties));
+
+    (partial ? [] : schema.required || []).forEach(function(name) {
+      if(value[name] === undefined) errors.push({path: join(path, name), keyword: 'required', message: 'is required'});
+    });
+
+    keys.forEach(function(key) {
+      var matched = false;
+
+      if(properties[key] !== undefined) {
+        matched = true;
+        validateValue(properties[key], value[key], join(path, key), errors, partial);
+      }
+
+      for(var pattern in schema.patternProperties || {}) {
+        if(new RegExp(pattern).test(key)) {
+          matched = true;
+          validateValue(schema.patternProperties[pattern], value[key], join(path, key), errors, partial);
+        }
+      }
+
+      if(!matched && schema.additionalProperties === false) {
+        errors.push({path: join(path, key), keyword: 'additionalProperties', message: 'is not an allowed property'});
+      } else if(!matched && typeof schema.additionalProperties == 'object') {
+        validateValue(schema.additionalProperties, value[key], join(path, key), errors, partial);
+      }
+    });
+  }
+
+  // Combinators
+  if(Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(function(subSchema) {
+      validateValue(subSchema, value, path, errors, partial);
+    });
+  }
+
+  if(Array.isArray(schema.anyOf) && !schema.anyOf.some(function(subSchema) {
+    return validate(subSchema, value, partial).length == 0;
+  })) error('anyOf', 'must match at least one of the schemas in anyOf');
+
+  if(Array.isArray(schema.oneOf) && schema.oneOf.filter(function(subSchema) {
+    return validate(subSchema, value, partial).length == 0;
+  }).length != 1) error('oneOf', 'must match exactly one of the schemas in oneOf');
+
+  if(schema.not != null && validate(schema.not, value).length == 0)
+    error('not', 'must not match the schema in not');
+}
+
+// Validate a value, returning the list of errors
+var validate = function(schema, value, partial) {
+  var errors = [];
+  validateValue(schema, value, '', errors, partial);
+  return errors;
+}
+
+// Set a dotted path on a document
+var setPath = function(document, path, value) {
+  var parts = path.split('.');
+  var current = document;
+
+  for(var i = 0; i < parts.length - 1; i++) {
+    if(current[parts[i]] == null || typeof current[parts[i]] != 'object') current[parts[i]] = {};
+    current = current[parts[i]];
+  }
+
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Build the document an upsert inserts when no document matches the selector
+ * @ignore
+ * @api private
+ */
+var upsertDocument = function(selector, update) {
+  selector = selector || {};
+  var document = {};
+
+  // A replacement only keeps the _id of the selector
+  if(isReplacementDocument(update)) {
+    if(selector._id !== undefined && update._id === undefined) document._id = selector._id;
+    for(var name in update) document[name] = update[name];
+    return document;
+  }
+
+  // Equality matches of the selector are part of the inserted document
+  for(var name in selector) {
+    var value = selector[name];
+    if(name.charAt(0) == '$') continue;
+    if(value != null && typeof value == 'object' && !value._bsontype && !(value instanceof Date)
+      && Object.keys(value).some(function(key) { return key.charAt(0) == '$'; })) continue;
+    setPath(document, name, value);
+  }
+
+  ['$setOnInsert', '$set', '$inc'].forEach(function(operator) {
+    for(var name in update[operator] || {}) setPath(document, name, update[operator][name]);
+  });
+
+  return document;
+}
+
+/**
+ * Create a new SchemaValidator instance (INTERNAL TYPE, do not instantiate directly, use the **schema** option of Db.collection or Db.registerSchema)
+ *
+ * Validates documents against a JSON Schema, including the **bsonType** keyword of MongoDB's $jsonSchema.
+ *
+ * Options
+ *  - **schemaAction** {String, default:'reject'} **reject** fails the write with the validation error, **warn** performs the write and emits a **validationWarning** event with the error on the emitter.
+ *
+ * @class Represents a SchemaValidator
+ * @param {Object} schema the JSON schema documents must match.
+ * @param {EventEmitter} emitter the object warnings are emitted on.
+ * @param {Object} [options] additional options for the validator.
+ * @return {SchemaValidator} a SchemaValidator instance.
+ */
+var SchemaValidator = function(schema, emitter, options) {
+  if(!(this instanceof SchemaValidator)) return new SchemaValidator(schema, emitter, options);
+  options = options || {};
+
+  if(schema == null || typeof schema != 'object') throw toError("schema must be an object");
+
+  var action = options.schemaAction || 'reject';
+  if(ACTIONS.indexOf(action) == -1) throw toError(f("schemaAction must be one of %s", ACTIONS.join(', ')));
+
+  Object.defineProperty(this, 'schema', {
+    enumerable:true, get: function() { return schema; }
+  });
+
+  Object.defineProperty(this, 'schemaAction', {
+    enumerable:true, get: function() { return action; }
+  });
+
+  /**
+   * Validate a single document
+   *
+   * @param {Object} document the document to validate.
+   * @param {Boolean} [partial] only validate the fields of the document, skipping required properties.
+   * @return {Array} a list of {path, keyword, message} errors, empty if the document is valid
+   * @api public
+   */
+  this.validate = function(document, partial) {
+    return validate(schema, document, partial);
+  }
+
+  /**
+   * Validate the documents of a write. Returns the validation error in reject mode,
+   * emits it as a warning and returns null in warn mode.
+   *
+   * @param {String} namespace the namespace written to.
+   * @param {Array} documents the documents to validate.
+   * @param {Boolean} [partial] only validate the fields of the documents, skipping required properties.
+   * @return {Error} the validation error or null
+   * @ignore
+   * @api private
+   */
+  this.check = function(namespace, documents, partial) {
+    var errors = [];
+
+    for(var i = 0; i < documents.length; i++) {
+      validate(schema, documents[i], partial).forEach(function(error) {
+        error.index = i;
+        errors.push(error);
+      });
+    }
+
+    if(errors.length == 0) return null;
+
+    var err = toError({
+        errmsg: f("document failed schema validation for %s, %s %s"
+          , namespace, errors[0].path || 'document', errors[0].message)
+      , code: DOCUMENT_VALIDATION_FAILURE
+      , path: errors[0].path
+      , errors: errors
+    });
+
+    if(action == 'reject') return err;
+    if(emitter) emitter.emit('validationWarning', err);
+    return null;
+  }
+}
+
+SchemaValidator.upsertDocument = upsertDocument;
+
+module.exports = SchemaValidator;
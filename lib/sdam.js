@@ -0,0 +1,486 @@
+var f = require('util').format
+  , CServer = require('mongodb-core').Server
+  , MongoError = require('mongodb-core').MongoError
+  , shallowClone = require('./utils').shallowClone;
+
+// Server discovery and monitoring events
+var EVENTS = ['serverOpening', 'serverClosed', 'serverDescriptionChanged', 'topologyDescriptionChanged'
+  , 'serverHeartbeatStarted', 'serverHeartbeatSucceeded', 'serverHeartbeatFailed'];
+
+// Fields compared to decide if a server description changed
+var DESCRIPTION_FIELDS = ['type', 'minWireVersion', 'maxWireVersion', 'me', 'hosts', 'passives'
+  , 'arbiters', 'tags', 'setName', 'setVersion', 'electionId', 'primary', 'error'];
+
+// Weight of the newest heartbeat in the round trip time average
+var RTT_ALPHA = 0.2;
+
+// Default interval between two heartbeats of a server
+var HEARTBEAT_FREQUENCY_MS = 10000;
+
+// Servers refresh their last write at least this often, even without writes
+var IDLE_WRITE_PERIOD_MS = 10000;
+
+// Default size of the latency window of the server selection
+var LOCAL_THRESHOLD_MS = 15;
+
+// Monotonically increasing id of the monitored topologies
+var topologyId = 0;
+
+/**
+ * Returns the server type for an ismaster document
+ * @ignore
+ * @api private
+ */
+var serverType = function(ismaster) {
+  if(ismaster == null || !ismaster.ok) return 'Unknown';
+  if(ismaster.isreplicaset) return 'RSGhost';
+  if(ismaster.msg == 'isdbgrid') return 'Mongos';
+
+  if(ismaster.setName) {
+    if(ismaster.ismaster) return 'RSPrimary';
+    if(ismaster.secondary) return 'RSSecondary';
+    if(ismaster.arbiterOnly) return 'RSArbiter';
+    return 'RSOther';
+  }
+
+  return 'Standalone';
+}
+
+/**
+ * Build the description of a server from its last ismaster document
+ * @ignore
+ * @api private
+ */
+var describeServer = function(address, ismaster, roundTripTime, error) {
+  ismaster = error ? null : ismaster;
+  var description = {
+      address: address, type: serverType(ismaster)
+    , roundTripTime: typeof roundTripTime == 'number' ? roundTripTime : null
+    , lastUpdateTime: new Date().getTime(), lastWrite: null
+    , minWireVersion: 0, maxWireVersion: 0, me: null
+    , hosts: [], passives: [], arbiters: [], tags: {}
+    , setName: null, setVersion: null, electionId: null, primary: null
+    , error: error ? error.message || String(error) : null
+  };
+
+  if(description.type == 'Unknown') return description;
+
+  if(ismaster.lastWrite) description.lastWrite = {
+    lastWriteDate: ismaster.lastWrite.lastWriteDate, opTime: ismaster.lastWrite.opTime
+  };
+
+  description.minWireVersion = ismaster.minWireVersion || 0;
+  description.maxWireVersion = ismaster.maxWireVersion || 0;
+  description.me = ismaster.me ? ismaster.me.toLowerCase() : null;
+  description.hosts = lowerCase(ismaster.hosts);
+  description.passives = lowerCase(ismaster.passives);
+  description.arbiters = lowerCase(ismaster.arbiters);
+  description.tags = ismaster.tags || {};
+  description.setName = ismaster.setName || null;
+  description.setVersion = ismaster.setVersion != null ? ismaster.setVersion : null;
+  description.electionId = ismaster.electionId || null;
+  description.primary = ismaster.primary ? ismaster.primary.toLowerCase() : null;
+  return description;
+}
+
+// Host names are case insensitive
+var lowerCase = function(hosts) {
+  return Array.isArray(hosts) ? hosts.map(function(host) { return host.toLowerCase(); }) : [];
+}
+
+/**
+ * Returns the host:port address of a mongodb-core server
+ * @ignore
+ * @api private
+ */
+var addressOf = function(server) {
+  return server.name || f('%s:%s', server.host, server.port);
+}
+
+// Returns true if two server descriptions differ in any compared field
+var hasChanged = function(previous, description) {
+  for(var i = 0; i < DESCRIPTION_FIELDS.length; i++) {
+    var name = DESCRIPTION_FIELDS[i];
+    if(JSON.stringify(previous[name]) != JSON.stringify(description[name])) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Tracks the description of every server of a topology from the ismaster documents of
+ * periodic heartbeats and emits the server discovery and monitoring events on the emitter.
+ * The heartbeats run on a connection of their own to every server, not on the application pool.
+ *
+ * Options
+ *  - **heartbeatFrequencyMS** {Number, default:10000} the interval between two heartbeats of a server.
+ *
+ * The ssl and socket options of the core topology are used for the monitoring connections.
+ *
+ * @class
+ * @param {Object} emitter the topology emitting the events.
+ * @param {String} kind the kind of topology, one of **Single**, **ReplicaSet** or **Sharded**.
+ * @param {Object} [options] optional settings.
+ * @return {TopologyMonitor} a TopologyMonitor instance.
+ * @ignore
+ */
+var TopologyMonitor = function(emitter, kind, options) {
+  options = options || {};
+  var id = ++topologyId;
+  var servers = {};
+  var timer = null;
+  var frequency = typeof options.heartbeatFrequencyMS == 'number'
+    ? options.heartbeatFrequencyMS : HEARTBEAT_FREQUENCY_MS;
+  var self = this;
+
+  Object.defineProperty(this, 'topologyId', {
+    enumerable:true, get: function() { return id; }
+  });
+
+  /**
+   * Returns the description of the topology and all of its known servers
+   * @ignore
+   */
+  this.description = function() {
+    var descriptions = Object.keys(servers).map(function(address) {
+      return servers[address].description;
+    });
+
+    return {
+        topologyId: id, type: topologyType(kind, descriptions)
+      , setName: setName(descriptions), heartbeatFrequencyMS: frequency
+      , servers: descriptions
+    };
+  }
+
+  /**
+   * Start monitoring a server, the mongodb-core server is returned by the server selection
+   * @ignore
+   */
+  this.addServer = function(address, server) {
+    address = address.toLowerCase();
+    if(servers[address]) {
+      servers[address].server = server;
+      return self.check(address);
+    }
+
+    var previous = self.description();
+    servers[address] = {server: server, description: describeServer(address, null)};
+    emitter.emit('serverOpening', {topologyId: id, address: address});
+    emitter.emit('topologyDescriptionChanged', {
+      topologyId: id, previousDescription: previous, newDescription: self.description()
+    });
+
+    // Start the heartbeats with the first server
+    if(timer == null) {
+      timer = setInterval(function() {
+        Object.keys(servers).forEach(self.check);
+      }, frequency);
+      if(typeof timer.unref == 'function') timer.unref();
+    }
+
+    self.check(address);
+  }
+
+  /**
+   * Mark a server as unknown, the next heartbeat updates it again
+   * @ignore
+   */
+  this.markUnknown = function(address, error) {
+    address = address.toLowerCase();
+    if(servers[address] == null) return;
+    update(address, describeServer(address, null, null, error || new MongoError(f("server %s left the topology", address))));
+  }
+
+  /**
+   * Stop monitoring all servers
+   * @ignore
+   */
+  this.close = function() {
+    if(timer) clearInterval(timer);
+    timer = null;
+
+    Object.keys(servers).forEach(function(address) {
+      var previous = self.description();
+      disconnect(servers[address]);
+      delete servers[address];
+      emitter.emit('serverClosed', {topologyId: id, address: address});
+      emitter.emit('topologyDescriptionChanged', {
+        topologyId: id, previousDescription: previous, newDescription: self.description()
+      });
+    });
+  }
+
+  /**
+   * Run an ismaster heartbeat against the server and update its description
+   * @ignore
+   */
+  this.check = function(address) {
+    var entry = servers[address];
+    if(entry == null || entry.checking) return;
+    entry.checking = true;
+
+    var startTime = new Date().getTime();
+    emitter.emit('serverHeartbeatStarted', {connectionId: address});
+
+    var done = function(err, reply) {
+      entry.checking = false;
+      var duration = new Date().getTime() - startTime;
+      // The server was removed while the heartbeat was running
+      if(servers[address] !== entry) return;
+
+      if(err) {
+        emitter.emit('serverHeartbeatFailed', {duration: duration, failure: err, connectionId: address});
+        return update(address, describeServer(address, null, null, err));
+      }
+
+      // Average the round trip time over the heartbeats
+      var roundTripTime = entry.description.roundTripTime;
+      roundTripTime = roundTripTime == null ? duration : RTT_ALPHA * duration + (1 - RTT_ALPHA) * roundTripTime;
+
+      emitter.emit('serverHeartbeatSucceeded', {duration: duration, reply: reply, connectionId: address});
+      update(address, describeServer(address, reply, roundTripTime));
+    }
+
+    connect(entry, address, function(err, connection) {
+      if(err) return done(err);
+      // The server was removed while connecting
+      if(servers[address] !== entry) return disconnect(entry), done(null, null);
+
+      try {
+        connection.command('admin.$cmd', {ismaster: true}, {}, function(err, result) {
+          if(err) return done(err);
+          done(null, result && result.result ? result.result : result);
+        });
+      } catch(err) {
+        done(err);
+      }
+    });
+  }
+
+  // Open the monitoring connection of a server, it is opened again by the next heartbeat after an error
+  var connect = function(entry, address, callback) {
+    if(entry.connection && entry.connection.isConnected()) return callback(null, entry.connection);
+    disconnect(entry);
+
+    var index = address.lastIndexOf(':');
+    var connectionOptions = shallowClone(options);
+    connectionOptions.host = index == -1 || address.indexOf('/') != -1 ? address : address.substr(0, index);
+    connectionOptions.port = index == -1 || address.indexOf('/') != -1 ? null : parseInt(address.substr(index + 1), 10);
+    connectionOptions.size = 1;
+    connectionOptions.reconnect = false;
+    connectionOptions.emitError = true;
+    delete connectionOptions.disconnectHandler;
+
+    var connection = new CServer(connectionOptions);
+    var connected = false;
+    entry.connection = connection;
+
+    var errorHandler = function(err) {
+      disconnect(entry, connection);
+      if(connected) return;
+      connected = true;
+      callback(err || new MongoError(f("failed to connect to server %s", address)));
+    }
+
+    var events = ['error', 'close', 'timeout', 'parseError'];
+    events.forEach(function(event) {
+      connection.on(event, errorHandler);
+    });
+
+    connection.once('connect', function() {
+      if(connected) return;
+      connected = true;
+      callback(null, connection);
+    });
+
+    connection.connect();
+  }
+
+  // Close the monitoring connection of a server
+  var disconnect = function(entry, connection) {
+    if(entry.connection == null || (connection && entry.connection !== connection)) return;
+    connection = entry.connection;
+    entry.connection = null;
+    connection.destroy();
+  }
+
+  /**
+   * Select a replicaset member for read preferences with maxStalenessSeconds or tag sets,
+   * returns the mongodb-core server, an error if no member matches or null to let mongodb-core select.
+   * Until a heartbeat described a member mongodb-core selects the server.
+   * @ignore
+   */
+  this.selectServer = function(readPreference, localThresholdMS) {
+    if(readPreference == null) return null;
+    var tagSets = readPreference.tagSets || [];
+    var tagged = tagSets.some(function(tagSet) { return Object.keys(tagSet).length > 0; });
+    if(readPreference.maxStalenessSeconds == null && !tagged) return null;
+
+    var descriptions = self.description().servers;
+    var described = descriptions.filter(function(description) { return description.type != 'Unknown'; });
+    if(described.length == 0) return null;
+    var error = checkMaxStaleness(descriptions, readPreference.maxStalenessSeconds, frequency);
+    if(error) return error;
+
+    var selected = selectDescriptions(descriptions, readPreference, frequency);
+    if(selected.length == 0) {
+      return new MongoError(f("no replicaset member matches the %s read preference", readPreference.preference));
+    }
+
+    // Pick a random server within the latency window of the nearest one
+    var threshold = typeof localThresholdMS == 'number' ? localThresholdMS : LOCAL_THRESHOLD_MS;
+    var nearest = Math.min.apply(null, selected.map(function(description) { return description.roundTripTime; }));
+    selected = selected.filter(function(description) { return description.roundTripTime <= nearest + threshold; });
+    return servers[selected[Math.floor(Math.random() * selected.length)].address].server;
+  }
+
+  // Replace the description of a server, emitting the change events if anything changed
+  var update = function(address, description) {
+    var entry = servers[address];
+    var previousServer = entry.description;
+    if(!hasChanged(previousServer, description)) {
+      entry.description = description;
+      return;
+    }
+
+    var previous = self.description();
+    entry.description = description;
+    emitter.emit('serverDescriptionChanged', {
+      topologyId: id, address: address, previousDescription: previousServer, newDescription: description
+    });
+
+    emitter.emit('topologyDescriptionChanged', {
+      topologyId: id, previousDescription: previous, newDescription: self.description()
+    });
+  }
+}
+
+// Returns an error if maxStalenessSeconds can not be used with the servers
+var checkMaxStaleness = function(descriptions, maxStalenessSeconds, frequency) {
+  if(maxStalenessSeconds == null) return null;
+
+  for(var i = 0; i < descriptions.length; i++) {
+    if(descriptions[i].type != 'Unknown' && descriptions[i].maxWireVersion < 5) {
+      return new MongoError(f("maxStalenessSeconds is not supported by server %s, MongoDB 3.4 or higher is required", descriptions[i].address));
+    }
+  }
+
+  if(maxStalenessSeconds * 1000 < frequency + IDLE_WRITE_PERIOD_MS) {
+    return new MongoError(f("maxStalenessSeconds must be at least %s seconds with a heartbeatFrequencyMS of %s"
+      , (frequency + IDLE_WRITE_PERIOD_MS) / 1000, frequency));
+  }
+
+  return null;
+}
+
+// Time of the last write of a server in milliseconds
+var lastWriteTime = function(description) {
+  var date = description.lastWrite && description.lastWrite.lastWriteDate;
+  return date instanceof Date ? date.getTime() : (typeof date == 'number' ? date : 0);
+}
+
+/**
+ * Returns the estimated staleness of a secondary in milliseconds, relative to the primary
+ * or without a primary to the secondary with the most recent write
+ * @ignore
+ * @api private
+ */
+var staleness = function(description, primary, secondaries, frequency) {
+  if(primary) {
+    return (description.lastUpdateTime - lastWriteTime(description))
+      - (primary.lastUpdateTime - lastWriteTime(primary)) + frequency;
+  }
+
+  var latest = Math.max.apply(null, secondaries.map(lastWriteTime));
+  return latest - lastWriteTime(description) + frequency;
+}
+
+// Returns true if the server has all the tags of the tag set
+var matchesTags = function(description, tagSet) {
+  for(var name in tagSet) {
+    if(description.tags[name] != tagSet[name]) return false;
+  }
+
+  return true;
+}
+
+// Servers matching the first tag set that matches any server
+var filterByTags = function(descriptions, tagSets) {
+  if(tagSets.length == 0) return descriptions;
+
+  for(var i = 0; i < tagSets.length; i++) {
+    var matching = descriptions.filter(function(description) {
+      return matchesTags(description, tagSets[i]);
+    });
+
+    if(matching.length > 0) return matching;
+  }
+
+  return [];
+}
+
+/**
+ * Returns the descriptions of the servers eligible for the read preference
+ * @ignore
+ * @api private
+ */
+var selectDescriptions = function(descriptions, readPreference, frequency) {
+  var tagSets = readPreference.tagSets || [];
+  var primary = descriptions.filter(function(description) { return description.type == 'RSPrimary'; })[0];
+  var secondaries = descriptions.filter(function(description) { return description.type == 'RSSecondary'; });
+
+  // Exclude the secondaries lagging by more than maxStalenessSeconds
+  if(readPreference.maxStalenessSeconds != null) {
+    var maxStalenessMS = readPreference.maxStalenessSeconds * 1000;
+    var all = secondaries;
+    secondaries = secondaries.filter(function(description) {
+      return staleness(description, primary, all, frequency) <= maxStalenessMS;
+    });
+  }
+
+  switch(readPreference.preference) {
+    case 'primary':
+      return primary ? [primary] : [];
+    case 'primaryPreferred':
+      return primary ? [primary] : filterByTags(secondaries, tagSets);
+    case 'secondary':
+      return filterByTags(secondaries, tagSets);
+    case 'secondaryPreferred':
+      var matching = filterByTags(secondaries, tagSets);
+      return matching.length > 0 || primary == null ? matching : [primary];
+    case 'nearest':
+      return filterByTags(primary ? [primary].concat(secondaries) : secondaries, tagSets);
+  }
+
+  return [];
+}
+
+// Topology type derived from the kind of topology and the server types
+var topologyType = function(kind, descriptions) {
+  if(kind == 'Single') return 'Single';
+  if(kind == 'Sharded') return 'Sharded';
+
+  for(var i = 0; i < descriptions.length; i++) {
+    if(descriptions[i].type == 'RSPrimary') return 'ReplicaSetWithPrimary';
+  }
+
+  return 'ReplicaSetNoPrimary';
+}
+
+// The replica set name reported by the servers
+var setName = function(descriptions) {
+  for(var i = 0; i < descriptions.length; i++) {
+    if(descriptions[i].setName) return descriptions[i].setName;
+  }
+
+  return null;
+}
+
+exports.EVENTS = EVENTS;
+exports.serverType = serverType;
+exports.describeServer = describeServer;
+exports.addressOf = addressOf;
+exports.staleness = staleness;
+exports.selectDescriptions = selectDescriptions;
+exports.TopologyMonitor = TopologyMonitor;
@@ -5,7 +5,14 @@ var EventEmitter = require('events').EventEmitter
   , f = require('util').format
   , ServerCapabilities = require('./topology_base').ServerCapabilities
   , Store = require('./topology_base').Store
+  , ConnectionPool = require('./topology_base').ConnectionPool
   , MongoError = require('mongodb-core').MongoError
+  , instrument = require('./apm').instrument
+  , writeCommand = require('./apm').writeCommand
+  , applySession = require('./session').applySession
+  , updateSession = require('./session').updateSession
+  , executeSessionWrite = require('./session').executeSessionWrite
+  , TopologyMonitor = require('./sdam').TopologyMonitor
   , shallowClone = require('./utils').shallowClone;
 
 var Server = function(host, port, options) {
@@ -41,7 +48,9 @@ var Server = function(host, port, options) {
   // Reconnect
   var reconnect = typeof options.auto_reconnect == 'boolean' ? options.auto_reconnect : true;
   var emitError = typeof options.emitError == 'boolean' ? options.emitError : true;
-  var poolSize = options.poolSize || 5;  
+
+  // The connections commands and writes are checked out from
+  var pool = new ConnectionPool(options);
 
   // Socket options passed down
   if(options.socketOptions) {
@@ -55,7 +64,10 @@ var Server = function(host, port, options) {
   clonedOptions.cursorFactory = Cursor;
   clonedOptions.reconnect = reconnect;
   clonedOptions.emitError = emitError;
-  clonedOptions.size = poolSize;
+  clonedOptions.size = pool.size;
+
+  // mongodb-core can not fall back to plain connections, ssl=prefer always connects with ssl
+  if(clonedOptions.ssl == 'prefer') clonedOptions.ssl = true;
 
   // Translate the options
   if(clonedOptions.sslCA) clonedOptions.ca = clonedOptions.sslCA;
@@ -69,8 +81,19 @@ var Server = function(host, port, options) {
 
   // Create an instance of a server instance from mongodb-core
   var server = new CServer(clonedOptions);
+  // Single connection servers opened while operations wait for a connection
+  pool.start(server, function() {
+    var memberOptions = shallowClone(clonedOptions);
+    memberOptions.size = 1;
+    memberOptions.reconnect = false;
+    delete memberOptions.disconnectHandler;
+    return new CServer(memberOptions);
+  });
   // Server capabilities
   var sCapabilities = null;
+  // Server discovery and monitoring
+  var monitor = new TopologyMonitor(self, 'Single', clonedOptions);
+  var address = port == null ? host : f('%s:%s', host, port);
   
   // BSON property
   Object.defineProperty(this, 'bson', { 
@@ -88,7 +111,7 @@ var Server = function(host, port, options) {
 
   // Last ismaster
   Object.defineProperty(this, 'poolSize', {
-    enumerable:true, get: function() { return server.connections().length; }
+    enumerable:true, get: function() { return pool.connections().length; }
   });
 
   Object.defineProperty(this, 'autoReconnect', {
@@ -127,6 +150,8 @@ var Server = function(host, port, options) {
         });
 
         server.removeListener('connect', connectErrorHandler);
+        // Stop the heartbeats
+        monitor.close();
 
         // Try to callback
         try {
@@ -140,6 +165,9 @@ var Server = function(host, port, options) {
     // Actual handler
     var errorHandler = function(event) {
       return function(err) {
+        monitor.markUnknown(address, err);
+        // Without reconnect the server is gone for good
+        if(!reconnect) monitor.close();
         if(event != 'error') {
           self.emit(event, err);
         }
@@ -148,6 +176,7 @@ var Server = function(host, port, options) {
 
     // Error handler
     var reconnectHandler = function(err) {
+      monitor.check(address);
       self.emit('reconnect', self);
       store.execute();
     }
@@ -164,6 +193,9 @@ var Server = function(host, port, options) {
       server.once('error',  errorHandler('error'));
       server.once('close', errorHandler('close'));
 
+      // Start monitoring the server
+      monitor.addServer(address, server);
+
       // Emit open event
       self.emit('open', null, self);      
 
@@ -196,22 +228,41 @@ var Server = function(host, port, options) {
 
   // Command
   this.command = function(ns, cmd, options, callback) {
-    server.command(ns, cmd, options, callback);
+    var session = options.session;
+
+    pool.execute(function(done, server) {
+      // Attach the session when the command is sent, a transaction starts with the first command sent
+      var finalCmd = session ? applySession(session, self, cmd) : cmd;
+      if(finalCmd instanceof Error) return done(finalCmd);
+      server.command(ns, finalCmd, options, instrument(self, ns, finalCmd, updateSession(session, done)));
+    }, callback);
   }
 
   // Insert
   this.insert = function(ns, ops, options, callback) {
-    server.insert(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'insert', ns, ops, options, callback);
+    pool.execute(function(done, server) {
+      server.insert(ns, ops, options, instrument(self, ns, writeCommand('insert', ns, ops, options), done));
+    }, callback);
   }
 
   // Update
   this.update = function(ns, ops, options, callback) {
-    server.update(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'update', ns, ops, options, callback);
+    pool.execute(function(done, server) {
+      server.update(ns, ops, options, instrument(self, ns, writeCommand('update', ns, ops, options), done));
+    }, callback);
   }
 
   // Remove
   this.remove = function(ns, ops, options, callback) {
-    server.remove(ns, ops, options, callback);
+    // Writes with a session run as write commands
+    if(options.session) return executeSessionWrite(self, 'remove', ns, ops, options, callback);
+    pool.execute(function(done, server) {
+      server.remove(ns, ops, options, instrument(self, ns, writeCommand('remove', ns, ops, options), done));
+    }, callback);
   }
 
   // IsConnected
@@ -222,6 +273,9 @@ var Server = function(host, port, options) {
   // Insert
   this.cursor = function(ns, cmd, options) {
     options.disconnectHandler = store;
+    // The cursor attaches the session when it sends its commands
+    options.monitor = self;
+
     return server.cursor(ns, cmd, options);
   }
 
@@ -233,8 +287,15 @@ var Server = function(host, port, options) {
     return server.lastIsMaster();
   }
 
+  // Description of the topology and all of its known servers
+  this.description = function() {
+    return monitor.description();
+  }
+
   this.close = function(forceClosed) {
     server.destroy();
+    monitor.close();
+    pool.flush();
     // We need to wash out all stored processes
     if(forceClosed == true) {
       storeOptions.force = forceClosed;
@@ -243,17 +304,16 @@ var Server = function(host, port, options) {
   }
 
   this.auth = function() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    server.auth.apply(server, args);
+    pool.auth(arguments);
   }
 
   /**
-   * All raw connections
+   * All raw connections, the pool statistics are available on the **stats** property of the returned array
    * @method
    * @return {array}
    */
   this.connections = function() {
-    return server.connections();
+    return pool.connections();
   }    
 }
 
@@ -0,0 +1,616 @@
+var f = require('util').format
+  , crypto = require('crypto')
+  , Binary = require('mongodb-core').BSON.Binary
+  , Long = require('mongodb-core').BSON.Long
+  , MongoError = require('mongodb-core').MongoError
+  , handleCallback = require('./utils').handleCallback
+  , promisify = require('./utils').promisify
+  , toPromise = require('./utils').toPromise
+  , shallowClone = require('./utils').shallowClone
+  , isRetryableError = require('./utils').isRetryableError
+  , writeCommand = require('./apm').writeCommand;
+
+// Binary subtype of a UUID
+var UUID_SUBTYPE = 4;
+
+// Commands that read data and accept a readConcern
+var READ_COMMANDS = ['find', 'aggregate', 'count', 'distinct', 'geoNear', 'geoSearch'
+  , 'group', 'mapReduce', 'parallelCollectionScan'];
+
+// Write concern fields used by write commands run with a session
+var WRITE_CONCERN_FIELDS = ['w', 'j', 'wtimeout', 'fsync'];
+
+// Transaction states of a session
+var NO_TRANSACTION = 'none'
+  , STARTING_TRANSACTION = 'starting'
+  , TRANSACTION_IN_PROGRESS = 'in_progress'
+  , TRANSACTION_COMMITTED = 'committed'
+  , TRANSACTION_ABORTED = 'aborted';
+
+// Commands ending a transaction
+var TRANSACTION_COMMANDS = ['commitTransaction', 'abortTransaction'];
+
+// withTransaction stops retrying after two minutes
+var WITH_TRANSACTION_TIMEOUT_MS = 120000;
+
+// Error codes of commits that may or may not have been applied
+var UNKNOWN_COMMIT_ERROR_CODES = [50, 64, 91, 189, 262, 11600, 11602, 10107, 13435, 13436];
+
+// Generate a random (version 4) UUID for the session id
+var uuid = function() {
+  var bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return new Binary(bytes, UUID_SUBTYPE);
+}
+
+// Returns true if the error carries the label
+var hasErrorLabel = function(err, label) {
+  return err != null && Array.isArray(err.errorLabels) && err.errorLabels.indexOf(label) != -1;
+}
+
+// Add a label to the error
+var addErrorLabel = function(err, label) {
+  if(err == null || typeof err != 'object' || hasErrorLabel(err, label)) return;
+  err.errorLabels = Array.isArray(err.errorLabels) ? err.errorLabels.concat([label]) : [label];
+}
+
+// Remove a label from the error
+var removeErrorLabel = function(err, label) {
+  if(!hasErrorLabel(err, label)) return;
+  err.errorLabels = err.errorLabels.filter(function(name) { return name != label; });
+}
+
+// Returns true if the timestamp a is later than b
+var isLater = function(a, b) {
+  if(b == null) return true;
+  if(a == null) return false;
+  return typeof a.greaterThan == 'function' ? a.greaterThan(b) : a > b;
+}
+
+/**
+ * A logical session, created by Db.startSession and passed as the **session**
+ * option to operations. Causally consistent sessions read their own writes,
+ * reads wait until the server has caught up with the operationTime of the last operation.
+ *
+ * Options
+ *  - **causalConsistency** {Boolean, default:true} reads see the results of the previous operations of the session.
+ *  - **defaultTransactionOptions** {Object, default:null} the readConcern, writeConcern and maxCommitTimeMS used by the transactions of the session.
+ *
+ * @class
+ * @param {Object} topology the topology the session belongs to.
+ * @param {Object} [options] optional settings.
+ * @return {ClientSession} a ClientSession instance.
+ */
+var ClientSession = function(topology, options) {
+  options = options || {};
+  var id = {id: uuid()};
+  var causalConsistency = typeof options.causalConsistency == 'boolean' ? options.causalConsistency : true;
+  var operationTime = null;
+  var clusterTime = null;
+  var hasEnded = false;
+  var self = this;
+
+  // Transaction state
+  var txnNumber = 0;
+  var transactionState = NO_TRANSACTION;
+  var transactionOptions = null;
+  var commitAttempts = 0;
+
+  // Add a read Only property
+  Object.defineProperty(this, 'id', {
+    enumerable:true, get: function() { return id; }
+  });
+
+  Object.defineProperty(this, 'topology', {
+    enumerable:false, get: function() { return topology; }
+  });
+
+  Object.defineProperty(this, 'options', {
+    enumerable:true, get: function() { return options; }
+  });
+
+  Object.defineProperty(this, 'causalConsistency', {
+    enumerable:true, get: function() { return causalConsistency; }
+  });
+
+  Object.defineProperty(this, 'operationTime', {
+    enumerable:true, get: function() { return operationTime; }
+  });
+
+  Object.defineProperty(this, 'clusterTime', {
+    enumerable:true, get: function() { return clusterTime; }
+  });
+
+  Object.defineProperty(this, 'hasEnded', {
+    enumerable:true, get: function() { return hasEnded; }
+  });
+
+  Object.defineProperty(this, 'txnNumber', {
+    enumerable:true, get: function() { return txnNumber; }
+  });
+
+  Object.defineProperty(this, 'transactionState', {
+    enumerable:true, get: function() { return transactionState; }
+  });
+
+  /**
+   * Advance the operationTime of the session, used to read the writes of another session
+   *
+   * @param {Timestamp} time the operation time.
+   * @return {null}
+   * @api public
+   */
+  this.advanceOperationTime = function(time) {
+    if(isLater(time, operationTime)) operationTime = time;
+  }
+
+  /**
+   * Advance the cluster time gossiped to the servers
+   *
+   * @param {Object} time the $clusterTime document returned by the server.
+   * @return {null}
+   * @api public
+   */
+  this.advanceClusterTime = function(time) {
+    if(time == null || time.clusterTime == null) return;
+    if(clusterTime == null || isLater(time.clusterTime, clusterTime.clusterTime)) clusterTime = time;
+  }
+
+  /**
+   * End the session, the server releases its resources
+   *
+   * @param {Function} [callback] this will be called after executing this method.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.endSession = function(callback) {
+    if(hasEnded) return handleCallback(callback, null, null);
+
+    // A transaction still running is aborted first
+    if(self.inTransaction()) {
+      return self.abortTransaction(function() {
+        self.endSession(callback);
+      });
+    }
+
+    hasEnded = true;
+
+    // Errors are ignored, the server expires the session on its own
+    topology.command('admin.$cmd', {endSessions: [id]}, {}, function() {
+      handleCallback(callback, null, null);
+    });
+  }
+
+  /**
+   * Take the next transaction number for a retryable write outside of a transaction
+   *
+   * @return {Number} the transaction number
+   * @ignore
+   * @api private
+   */
+  this.incrementTransactionNumber = function() {
+    txnNumber = txnNumber + 1;
+    return txnNumber;
+  }
+
+  /**
+   * Returns true if a transaction was started and is not committed or aborted yet
+   *
+   * @return {Boolean}
+   * @api public
+   */
+  this.inTransaction = function() {
+    return transactionState == STARTING_TRANSACTION || transactionState == TRANSACTION_IN_PROGRESS;
+  }
+
+  /**
+   * Start a transaction, the following operations passed the session run in the
+   * transaction until commitTransaction or abortTransaction is called.
+   * Requires a replica set running MongoDB 4.0 or higher, transactions on sharded clusters are not supported.
+   *
+   * Options
+   *  - **readConcern** {Object, default:null} the read concern of the transaction.
+   *  - **writeConcern** {Object, default:null} the write concern used to commit the transaction.
+   *  - **maxCommitTimeMS** {Number, default:null} the maximum time the commit may run.
+   *
+   * @param {Object} [options] optional settings for the transaction.
+   * @return {null}
+   * @api public
+   */
+  this.startTransaction = function(options) {
+    if(hasEnded) throw new MongoError("cannot use a session that has ended");
+    if(self.inTransaction()) throw new MongoError("transaction already in progress");
+
+    var capabilities = topology.capabilities();
+    if(capabilities == null || !capabilities.hasTransactions) {
+      throw new MongoError("transactions are not supported by this deployment, a replica set running MongoDB 4.0 or higher is required, sharded clusters are not supported");
+    }
+
+    // Transaction options override the default transaction options of the session
+    var finalOptions = shallowClone(self.options.defaultTransactionOptions || {});
+    options = options || {};
+    for(var name in options) finalOptions[name] = options[name];
+
+    if(finalOptions.writeConcern && finalOptions.writeConcern.w == 0) {
+      throw new MongoError("transactions do not support unacknowledged write concerns");
+    }
+
+    txnNumber = txnNumber + 1;
+    transactionState = STARTING_TRANSACTION;
+    transactionOptions = finalOptions;
+    commitAttempts = 0;
+  }
+
+  /**
+   * Commit the transaction, retrying the commit once on a retryable error. When the commit fails
+   * with an UnknownTransactionCommitResult the transaction stays open and the commit can be retried.
+   *
+   * @param {Function} [callback] this will be called after executing this method.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.commitTransaction = function(callback) {
+    if(transactionState == NO_TRANSACTION) return handleCallback(callback, new MongoError("no transaction started"));
+    if(transactionState == TRANSACTION_ABORTED) return handleCallback(callback, new MongoError("cannot call commitTransaction after calling abortTransaction"));
+
+    // Nothing ran in the transaction, there is nothing to commit
+    if(transactionState == STARTING_TRANSACTION) {
+      transactionState = TRANSACTION_COMMITTED;
+      return handleCallback(callback, null, null);
+    }
+
+    endTransaction('commitTransaction', function(err, result) {
+      if(err && isRetryableError(err)) return endTransaction('commitTransaction', callback);
+      callback(err, result);
+    });
+  }
+
+  /**
+   * Abort the transaction, none of its writes are applied
+   *
+   * @param {Function} [callback] this will be called after executing this method.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.abortTransaction = function(callback) {
+    if(transactionState == NO_TRANSACTION) return handleCallback(callback, new MongoError("no transaction started"));
+    if(transactionState == TRANSACTION_COMMITTED) return handleCallback(callback, new MongoError("cannot call abortTransaction after calling commitTransaction"));
+    if(transactionState == TRANSACTION_ABORTED) return handleCallback(callback, new MongoError("cannot call abortTransaction twice"));
+
+    // Nothing ran in the transaction, there is nothing to abort
+    if(transactionState == STARTING_TRANSACTION) {
+      transactionState = TRANSACTION_ABORTED;
+      return handleCallback(callback, null, null);
+    }
+
+    // Errors are ignored, the server aborts the transaction when it times out
+    endTransaction('abortTransaction', function() {
+      handleCallback(callback, null, null);
+    });
+  }
+
+  /**
+   * Run the function in a transaction and commit it. The function is passed the session
+   * and returns a Promise, the transaction is retried when it fails with a TransientTransactionError
+   * and the commit is retried when it fails with an UnknownTransactionCommitResult, for up to two minutes.
+   *
+   * session.withTransaction(function(session) {
+   *   return collection.insertOne({a:1}, {session: session});
+   * }, {writeConcern: {w: 'majority'}});
+   *
+   * @param {Function} fn the function running the operations of the transaction.
+   * @param {Object} [options] optional settings for the transaction, see startTransaction.
+   * @param {Function} [callback] this will be called after executing this method.
+   * @return {Promise} returns a Promise if no callback is passed
+   * @api public
+   */
+  this.withTransaction = function(fn, options, callback) {
+    if(typeof options == 'function') callback = options, options = null;
+    // The function is the last argument when no callback is passed
+    if(typeof callback != 'function') return toPromise(self, self.withTransaction, [fn, options]);
+    var startTime = new Date().getTime();
+
+    var hasTimeLeft = function() {
+      return new Date().getTime() - startTime < WITH_TRANSACTION_TIMEOUT_MS;
+    }
+
+    var commit = function(result) {
+      self.commitTransaction(function(err) {
+        if(err == null) return handleCallback(callback, null, result);
+
+        // A commit that timed out on the server will not succeed when retried
+        if(hasErrorLabel(err, 'UnknownTransactionCommitResult') && err.code != 50 && hasTimeLeft()) return commit(result);
+        if(hasErrorLabel(err, 'TransientTransactionError') && hasTimeLeft()) return attempt();
+        handleCallback(callback, err);
+      });
+    }
+
+    var attempt = function() {
+      try {
+        self.startTransaction(options);
+      } catch(err) {
+        return handleCallback(callback, err);
+      }
+
+      var fail = function(err) {
+        if(!self.inTransaction()) return retry(err);
+        self.abortTransaction(function() { retry(err); });
+      }
+
+      var retry = function(err) {
+        if(hasErrorLabel(err, 'TransientTransactionError') && hasTimeLeft()) return attempt();
+        handleCallback(callback, err);
+      }
+
+      var promise;
+      try {
+        promise = fn(self);
+      } catch(err) {
+        return fail(err);
+      }
+
+      if(promise == null || typeof promise.then != 'function') {
+        return fail(new MongoError("withTransaction requires the function to return a Promise"));
+      }
+
+      promise.then(function(result) {
+        // The function committed or aborted the transaction itself
+        if(!self.inTransaction()) return handleCallback(callback, null, result);
+        commit(result);
+      }, fail);
+    }
+
+    attempt();
+  }
+
+  // Run commitTransaction or abortTransaction on the primary
+  var endTransaction = function(commandName, callback) {
+    var command = {};
+    command[commandName] = 1;
+
+    // Retried commits wait for a majority so the outcome is durable
+    var writeConcern = shallowClone(transactionOptions.writeConcern || {});
+    if(commandName == 'commitTransaction' && commitAttempts > 0) {
+      writeConcern.w = 'majority';
+      if(writeConcern.wtimeout == null) writeConcern.wtimeout = 10000;
+    }
+
+    if(Object.keys(writeConcern).length > 0) command.writeConcern = writeConcern;
+    if(commandName == 'commitTransaction' && typeof transactionOptions.maxCommitTimeMS == 'number') {
+      command.maxTimeMS = transactionOptions.maxCommitTimeMS;
+    }
+
+    if(commandName == 'commitTransaction') commitAttempts = commitAttempts + 1;
+
+    // The transaction stays in progress until the reply arrives
+    topology.command('admin.$cmd', command, {session: self, readPreference: 'primary'}, function(err, result) {
+      var reply = result && result.result ? result.result : null;
+      // A commit reporting a write concern error may or may not have been applied
+      if(err == null && reply && reply.writeConcernError) {
+        err = MongoError.create(reply.writeConcernError);
+        err.code = reply.writeConcernError.code;
+      }
+
+      if(err && commandName == 'commitTransaction'
+        && (isRetryableError(err) || UNKNOWN_COMMIT_ERROR_CODES.indexOf(err.code) != -1)) {
+        // The commit may have been applied, running the transaction again could apply it twice
+        removeErrorLabel(err, 'TransientTransactionError');
+        addErrorLabel(err, 'UnknownTransactionCommitResult');
+      }
+
+      // A commit that may have been applied can be retried, any other failure aborted the transaction
+      if(commandName == 'abortTransaction' || err == null) {
+        transactionState = commandName == 'commitTransaction' ? TRANSACTION_COMMITTED : TRANSACTION_ABORTED;
+      } else if(!hasErrorLabel(err, 'UnknownTransactionCommitResult')) {
+        transactionState = TRANSACTION_ABORTED;
+      }
+
+      if(err) return handleCallback(callback, err);
+      handleCallback(callback, null, reply);
+    });
+  }
+
+  /**
+   * Add the transaction fields to a command run with the session
+   *
+   * @ignore
+   * @api private
+   */
+  this.applyTransaction = function(command, finalCommand) {
+    var commandName = Object.keys(command)[0];
+    var ending = TRANSACTION_COMMANDS.indexOf(commandName) != -1;
+    if(!self.inTransaction() && !ending) return finalCommand;
+
+    finalCommand.txnNumber = Long.fromNumber(txnNumber);
+    finalCommand.autocommit = false;
+
+    // Operations in a transaction use the concerns of the transaction
+    if(!ending) {
+      delete finalCommand.writeConcern;
+      delete finalCommand.readConcern;
+    }
+
+    if(transactionState == STARTING_TRANSACTION) {
+      finalCommand.startTransaction = true;
+      transactionState = TRANSACTION_IN_PROGRESS;
+
+      var readConcern = shallowClone(transactionOptions.readConcern || {});
+      if(self.causalConsistency && self.operationTime) readConcern.afterClusterTime = self.operationTime;
+      if(Object.keys(readConcern).length > 0) finalCommand.readConcern = readConcern;
+    }
+
+    return finalCommand;
+  }
+
+  /**
+   * Returns true if both sessions have the same id
+   *
+   * @param {ClientSession} session the session to compare.
+   * @return {Boolean}
+   * @api public
+   */
+  this.equals = function(session) {
+    if(!(session instanceof ClientSession)) return false;
+    return session.id.id.buffer.toString('hex') == id.id.buffer.toString('hex');
+  }
+
+  // Return promises when no callback is provided
+  promisify(this, ['endSession', 'commitTransaction', 'abortTransaction']);
+}
+
+/**
+ * The sessions taken by retryable writes run without a session, a session is used by one write
+ * at a time and kept for the next write unless the write failed, the server expires them when idle
+ *
+ * @ignore
+ * @api private
+ */
+var ImplicitSessions = function(topology) {
+  var idle = [];
+
+  this.acquire = function() {
+    return idle.pop() || new ClientSession(topology, {causalConsistency: false});
+  }
+
+  this.release = function(session, err) {
+    if(!isRetryableError(err)) idle.push(session);
+  }
+}
+
+/**
+ * Returns a copy of the command with the session id, cluster time and for causally consistent
+ * reads the afterClusterTime read concern applied. Returns an error if the session cannot be used.
+ *
+ * @ignore
+ * @api private
+ */
+var applySession = function(session, topology, command) {
+  // Cursor ids used to resume cursors are not commands
+  if(command == null || command._bsontype) return command;
+  if(!(session instanceof ClientSession)) return new MongoError("session must be a ClientSession created by Db.startSession");
+  if(session.hasEnded) return new MongoError("cannot use a session that has ended");
+  if(session.topology !== topology) return new MongoError("session was started by a different client");
+
+  // The server may have been replaced by one without sessions since the session started
+  var capabilities = topology.capabilities();
+  if(capabilities == null || !capabilities.hasSessions) {
+    return new MongoError(f("sessions are not supported by this server (maxWireVersion %s), MongoDB 3.6 or higher is required"
+      , capabilities ? capabilities.maxWireVersion : 0));
+  }
+
+  var finalCommand = {};
+  for(var name in command) {
+    if(name != 'session') finalCommand[name] = command[name];
+  }
+
+  finalCommand.lsid = session.id;
+  if(session.clusterTime) finalCommand.$clusterTime = session.clusterTime;
+
+  // Causally consistent reads wait for the last operation of the session
+  var commandName = Object.keys(command)[0];
+  if(session.causalConsistency && session.operationTime && READ_COMMANDS.indexOf(commandName) != -1) {
+    var readConcern = {};
+    for(var name in command.readConcern) readConcern[name] = command.readConcern[name];
+    readConcern.afterClusterTime = session.operationTime;
+    finalCommand.readConcern = readConcern;
+  }
+
+  return session.applyTransaction(command, finalCommand);
+}
+
+/**
+ * Wrap a callback so the session picks up the operationTime and $clusterTime of the reply
+ *
+ * @ignore
+ * @api private
+ */
+var updateSession = function(session, callback) {
+  if(session == null) return callback;
+
+  return function(err, result) {
+    // Network errors and state changes abort the transaction, it can be retried as a whole
+    if(err && session.inTransaction() && isRetryableError(err)) addErrorLabel(err, 'TransientTransactionError');
+
+    var reply = result && result.result ? result.result : (err || {});
+    if(reply.operationTime) session.advanceOperationTime(reply.operationTime);
+    if(reply.$clusterTime) session.advanceClusterTime(reply.$clusterTime);
+    callback.apply(this, arguments);
+  }
+}
+
+/**
+ * Operations in a transaction run on the primary, which pins the cursors
+ * of the transaction to the server that started it
+ *
+ * @ignore
+ * @api private
+ */
+var pinToTransaction = function(session, options) {
+  if(!(session instanceof ClientSession) || !session.inTransaction()) return options;
+  var finalOptions = shallowClone(options);
+  finalOptions.readPreference = 'primary';
+  return finalOptions;
+}
+
+/**
+ * Execute an insert, update or remove with a session as a write command,
+ * so the session is attached by the command path of the topology
+ *
+ * @ignore
+ * @api private
+ */
+var executeSessionWrite = function(topology, type, ns, ops, options, callback) {
+  // The session fields of the command start with a $, so the keys of the documents are checked
+  // here by serializing them like a write without a session does instead of the whole command
+  if(type == 'insert' && options.checkKeys) {
+    try {
+      ops.forEach(function(doc) {
+        topology.bson.serialize(doc, true, false, options.serializeFunctions);
+      });
+    } catch(err) {
+      return callback(MongoError.create(err));
+    }
+  }
+
+  var command = writeCommand(type, ns, ops, options);
+
+  // Writes in a transaction use the write concern of the transaction
+  if(options.session.inTransaction()) {
+    delete command.writeConcern;
+  } else if(command.writeConcern == null) {
+    var writeConcern = {};
+    WRITE_CONCERN_FIELDS.forEach(function(name) {
+      if(options[name] != null) writeConcern[name] = options[name];
+    });
+
+    if(Object.keys(writeConcern).length > 0) command.writeConcern = writeConcern;
+  }
+
+  if(command.writeConcern && command.writeConcern.w == 0) {
+    return callback(new MongoError("unacknowledged writes cannot be used with a session"));
+  }
+
+  // A retryable write sends the same transaction number with every attempt
+  if(options.txnNumber != null && !options.session.inTransaction()) {
+    command.txnNumber = Long.fromNumber(options.txnNumber);
+  }
+
+  // Writes always go to the primary
+  var finalOptions = {};
+  for(var name in options) {
+    if(name != 'readPreference') finalOptions[name] = options[name];
+  }
+
+  finalOptions.checkKeys = false;
+
+  topology.command(f("%s.$cmd", ns.split('.').shift()), command, finalOptions, callback);
+}
+
+exports.ClientSession = ClientSession;
+exports.ImplicitSessions = ImplicitSessions;
+exports.applySession = applySession;
+exports.updateSession = updateSession;
+exports.executeSessionWrite = executeSessionWrite;
+exports.pinToTransaction = pinToTransaction;
+exports.hasErrorLabel = hasErrorLabel;
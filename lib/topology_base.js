@@ -63,6 +63,229 @@ var Store = function(topology, storeOptions) {
   }
 }
 
+// Time an operation waits for a connection when waitQueueTimeoutMS is not set
+var DEFAULT_WAIT_QUEUE_TIMEOUT_MS = 120000;
+
+// The connections the commands and writes are checked out from, one operation at a time per
+// connection. A core pool has a fixed size and closes as a whole when one of its connections
+// closes, so the main core topology opens minPoolSize connections (at least one, cursors run on it)
+// and single connection core topologies are opened next to it up to poolSize while operations
+// are waiting, closing again after maxIdleTimeMS without an operation.
+var ConnectionPool = function(options) {
+  options = options || {};
+  var maxPoolSize = options.poolSize || 5;
+  var minPoolSize = typeof options.minPoolSize == 'number' ? Math.min(options.minPoolSize, maxPoolSize) : maxPoolSize;
+  var maxIdleTimeMS = options.maxIdleTimeMS || 0;
+  var waitQueueTimeoutMS = typeof options.waitQueueTimeoutMS == 'number' ? options.waitQueueTimeoutMS : DEFAULT_WAIT_QUEUE_TIMEOUT_MS;
+  var maxWaitQueueSize = typeof options.waitQueueMultiple == 'number' ? options.waitQueueMultiple * maxPoolSize : -1;
+
+  // Connections of the main core topology
+  var size = Math.max(minPoolSize, 1);
+  var main = {topology: null, size: size, inProgress: 0, ready: true};
+  // The single connection core topologies
+  var members = [];
+  // Creates an unconnected single connection core topology
+  var create = null;
+  // Authentications replayed on the members when they connect
+  var credentials = [];
+  // Members still connecting when the pool is closed are dropped
+  var generation = 0;
+
+  var waiting = [];
+  var totalOperations = 0;
+  var waitQueueTimeouts = 0;
+  var waitQueueRejections = 0;
+
+  Object.defineProperty(this, 'length', {
+    enumerable:true, get: function() { return waiting.length; }
+  });
+
+  Object.defineProperty(this, 'size', {
+    enumerable:true, get: function() { return size; }
+  });
+
+  // The main core topology and the factory for the members
+  this.start = function(topology, factory) {
+    main.topology = topology;
+    create = factory;
+  }
+
+  // The first member with a free connection
+  var available = function() {
+    if(main.inProgress < main.size) return main;
+
+    for(var i = 0; i < members.length; i++) {
+      if(members[i].ready && members[i].inProgress < members[i].size) return members[i];
+    }
+  }
+
+  var run = function(member, operation, callback) {
+    member.inProgress = member.inProgress + 1;
+    totalOperations = totalOperations + 1;
+
+    if(member.timer) {
+      clearTimeout(member.timer);
+      member.timer = null;
+    }
+
+    operation(function() {
+      release(member);
+      if(typeof callback == 'function') callback.apply(this, arguments);
+    }, member.topology);
+  }
+
+  // Hand the freed connection to the next waiting operation
+  var release = function(member) {
+    member.inProgress = member.inProgress - 1;
+    dispatch(member);
+  }
+
+  var dispatch = function(member) {
+    if(member != main && members.indexOf(member) == -1) return;
+
+    if(waiting.length > 0 && member.inProgress < member.size) {
+      var entry = waiting.shift();
+      if(entry.timer) clearTimeout(entry.timer);
+      return run(member, entry.operation, entry.callback);
+    }
+
+    // Close members left idle for maxIdleTimeMS
+    if(member != main && member.inProgress == 0 && maxIdleTimeMS > 0) {
+      member.timer = setTimeout(function() {
+        remove(member);
+      }, maxIdleTimeMS);
+    }
+  }
+
+  var remove = function(member) {
+    var index = members.indexOf(member);
+    if(index == -1) return;
+    members.splice(index, 1);
+    if(member.timer) clearTimeout(member.timer);
+    member.topology.destroy();
+  }
+
+  // Replay the authentications on a new member
+  var authenticate = function(member, index, callback) {
+    if(index == credentials.length) return callback();
+
+    member.topology.auth.apply(member.topology, credentials[index].concat([function(err) {
+      if(err) return callback(err);
+      authenticate(member, index + 1, callback);
+    }]));
+  }
+
+  // Open another connection while operations are waiting
+  var grow = function() {
+    if(create == null || main.size + members.length >= maxPoolSize) return;
+
+    var member = {topology: create(), size: 1, inProgress: 0, ready: false};
+    var memberGeneration = generation;
+    members.push(member);
+
+    ['error', 'close', 'timeout', 'parseError'].forEach(function(event) {
+      member.topology.on(event, function() {
+        remove(member);
+      });
+    });
+
+    member.topology.once('connect', function() {
+      authenticate(member, 0, function(err) {
+        if(err || memberGeneration != generation) return remove(member);
+        member.ready = true;
+        dispatch(member);
+      });
+    });
+
+    member.topology.connect();
+  }
+
+  // Run the operation once a connection is available
+  this.execute = function(operation, callback) {
+    var member = available();
+    if(member) return run(member, operation, callback);
+
+    // The wait queue is full
+    if(maxWaitQueueSize >= 0 && waiting.length >= maxWaitQueueSize) {
+      waitQueueRejections = waitQueueRejections + 1;
+      return callback(new MongoError(f("wait queue for the connection pool is full, %s operations waiting", waiting.length)));
+    }
+
+    var entry = {operation: operation, callback: callback};
+    waiting.push(entry);
+
+    // Fail the operation if no connection frees up in time
+    if(waitQueueTimeoutMS > 0) {
+      entry.timer = setTimeout(function() {
+        var index = waiting.indexOf(entry);
+        if(index == -1) return;
+        waiting.splice(index, 1);
+        waitQueueTimeouts = waitQueueTimeouts + 1;
+        callback(new MongoError(f("timed out after %sms waiting for a connection from the pool", waitQueueTimeoutMS)));
+      }, waitQueueTimeoutMS);
+    }
+
+    grow();
+  }
+
+  // Authenticate the main core topology, the members are authenticated with the same credentials
+  this.auth = function(args) {
+    args = Array.prototype.slice.call(args, 0);
+    var callback = args.pop();
+
+    main.topology.auth.apply(main.topology, args.concat([function(err) {
+      if(err) return callback.apply(this, arguments);
+      credentials.push(args);
+
+      members.filter(function(member) { return member.ready; }).forEach(function(member) {
+        member.topology.auth.apply(member.topology, args.concat([function(err) {
+          if(err) remove(member);
+        }]));
+      });
+
+      callback.apply(this, arguments);
+    }]));
+  }
+
+  // Fail all waiting operations and close the members
+  this.flush = function(err) {
+    generation = generation + 1;
+
+    while(waiting.length > 0) {
+      var entry = waiting.shift();
+      if(entry.timer) clearTimeout(entry.timer);
+      entry.callback(err || new MongoError("connection pool closed"));
+    }
+
+    members.slice(0).forEach(remove);
+  }
+
+  // All connections with the pool statistics on the stats property
+  this.connections = function() {
+    var connections = main.topology.connections();
+
+    members.forEach(function(member) {
+      if(member.ready) connections = connections.concat(member.topology.connections());
+    });
+
+    Object.defineProperty(connections, 'stats', {
+      enumerable:false, value: {
+          totalConnections: connections.length
+        , connected: connections.filter(function(connection) { return connection.isConnected(); }).length
+        , minPoolSize: minPoolSize
+        , maxPoolSize: maxPoolSize
+        , operationsInProgress: members.reduce(function(total, member) { return total + member.inProgress; }, main.inProgress)
+        , waitQueueSize: waiting.length
+        , totalOperations: totalOperations
+        , waitQueueTimeouts: waitQueueTimeouts
+        , waitQueueRejections: waitQueueRejections
+      }
+    });
+
+    return connections;
+  }
+}
+
 // Server capabilities
 var ServerCapabilities = function(ismaster) {
   var setup_get_property = function(object, name, value) {
@@ -77,6 +300,14 @@ var ServerCapabilities = function(ismaster) {
   var writeCommands = false;
   var textSearch = false;
   var authCommands = false;
+  var listCollections = false;
+  var listIndexes = false;
+  var collation = false;
+  var readConcern = false;
+  var linearizableReadConcern = false;
+  var sessions = ismaster.logicalSessionTimeoutMinutes != null;
+  var transactions = false;
+  var retryableWrites = false;
   var maxNumberOfDocsInBatch = ismaster.maxWriteBatchSize || 1000;
 
   if(ismaster.minWireVersion >= 0) {
@@ -92,6 +323,31 @@ var ServerCapabilities = function(ismaster) {
     writeCommands = true;
   }
 
+  if(ismaster.maxWireVersion >= 3) {
+    listCollections = true;
+    listIndexes = true;
+  }
+
+  if(ismaster.maxWireVersion >= 4) {
+    readConcern = true;
+  }
+
+  if(ismaster.maxWireVersion >= 5) {
+    collation = true;
+    linearizableReadConcern = true;
+  }
+
+  // Replica sets and sharded clusters running MongoDB 3.6 apply a retried write once
+  if(sessions && (ismaster.setName != null || ismaster.msg == 'isdbgrid') && ismaster.maxWireVersion >= 6) {
+    retryableWrites = true;
+  }
+
+  // Replica sets support transactions from 4.0. Sharded transactions need all their operations
+  // sent to one mongos, the Mongos topology does not pin them so they are not supported.
+  if(sessions && ismaster.setName != null && ismaster.maxWireVersion >= 7) {
+    transactions = true;
+  }
+
   // If no min or max wire version set to 0
   if(ismaster.minWireVersion == null) {
     ismaster.minWireVersion = 0;
@@ -106,10 +362,20 @@ var ServerCapabilities = function(ismaster) {
   setup_get_property(this, "hasWriteCommands", writeCommands);
   setup_get_property(this, "hasTextSearch", textSearch);
   setup_get_property(this, "hasAuthCommands", authCommands);
+  setup_get_property(this, "hasListCollectionsCommand", listCollections);
+  setup_get_property(this, "hasListIndexesCommand", listIndexes);
+  setup_get_property(this, "hasCollation", collation);
+  setup_get_property(this, "hasReadConcern", readConcern);
+  setup_get_property(this, "hasLinearizableReadConcern", linearizableReadConcern);
+  setup_get_property(this, "hasSessions", sessions);
+  setup_get_property(this, "hasTransactions", transactions);
+  setup_get_property(this, "hasRetryableWrites", retryableWrites);
+  setup_get_property(this, "logicalSessionTimeoutMinutes", sessions ? ismaster.logicalSessionTimeoutMinutes : null);
   setup_get_property(this, "minWireVersion", ismaster.minWireVersion);
   setup_get_property(this, "maxWireVersion", ismaster.maxWireVersion);
   setup_get_property(this, "maxNumberOfDocsInBatch", maxNumberOfDocsInBatch);
 }
 
 exports.Store = Store;
+exports.ConnectionPool = ConnectionPool;
 exports.ServerCapabilities = ServerCapabilities;
\ No newline at end of file
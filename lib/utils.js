@@ -1,3 +1,6 @@
+// Use the native Promise implementation when available
+var Promise = typeof global.Promise == 'function' ? global.Promise : require('es6-promise').Promise;
+
 var shallowClone = function(obj) {
   var copy = {};
   for(var name in obj) copy[name] = obj[name];
@@ -121,6 +124,87 @@ var toError = function(error) {
   return e;
 }
 
+/**
+ * Returns an error when a collation is passed to a server older than MongoDB 3.4
+ * @ignore
+ * @api private
+ */
+var checkCollation = function(topology, collation) {
+  if(collation == null) return null;
+  var capabilities = topology.capabilities();
+  if(capabilities == null || capabilities.hasCollation) return null;
+  return toError("collation is not supported by this server (maxWireVersion " + capabilities.maxWireVersion + "), MongoDB 3.4 or higher is required");
+}
+
+// Read concern levels accepted by the server
+var READ_CONCERN_LEVELS = ['local', 'majority', 'linearizable'];
+
+/**
+ * Returns an error if the read concern is invalid or its level is not supported by
+ * the server the topology is connected to, otherwise null.
+ *
+ * @ignore
+ * @api private
+ */
+var checkReadConcern = function(topology, readConcern) {
+  if(readConcern == null) return null;
+  if(READ_CONCERN_LEVELS.indexOf(readConcern.level) == -1) {
+    return toError("readConcern level must be one of " + READ_CONCERN_LEVELS.join(', '));
+  }
+
+  var capabilities = topology.capabilities();
+  if(capabilities == null) return null;
+  if(!capabilities.hasReadConcern) {
+    return toError("readConcern is not supported by this server (maxWireVersion " + capabilities.maxWireVersion + "), MongoDB 3.2 or higher is required");
+  }
+
+  if(readConcern.level == 'linearizable' && !capabilities.hasLinearizableReadConcern) {
+    return toError("linearizable readConcern is not supported by this server (maxWireVersion " + capabilities.maxWireVersion + "), MongoDB 3.4 or higher is required");
+  }
+
+  return null;
+}
+
+// Server error codes signalling a primary step down or recovering node
+var RETRYABLE_ERROR_CODES = [6, 7, 89, 91, 189, 9001, 10058, 10107, 11600, 11602, 13435, 13436];
+
+// Socket error codes of a lost or refused connection
+var NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// The errors mongodb-core fails operations with when a connection breaks, they have no code
+var NETWORK_ERROR_MESSAGE = /^(server \S+ (received an error|timed out|sockets closed)|no connection available to server \S+$|connection \d+ to \S+ (timed out|closed)$)/;
+
+/**
+ * Returns true if the error was caused by a network failure or a
+ * replica set state change, meaning the operation can be retried
+ * against a newly selected server.
+ *
+ * @ignore
+ * @api private
+ */
+var isRetryableError = function(err) {
+  if(err == null) return false;
+  if(RETRYABLE_ERROR_CODES.indexOf(err.code) != -1) return true;
+  if(typeof err.code == 'string') return NETWORK_ERROR_CODES.indexOf(err.code) != -1;
+  // Server errors carry an ok field or a code, network errors of the core do not
+  if(err.code != null || err.ok != null || typeof err.message != 'string') return false;
+  return NETWORK_ERROR_MESSAGE.test(err.message);
+}
+
+/**
+ * Execute an operation, executing it a second time if retry is set and
+ * the first attempt failed with a retryable error.
+ *
+ * @ignore
+ * @api private
+ */
+var executeWithRetry = function(retry, operation, callback) {
+  operation(function(err) {
+    if(retry && isRetryableError(err)) return operation(callback);
+    callback.apply(this, arguments);
+  });
+}
+
 /**
  * Normalizes a `hint` argument.
  *
@@ -204,6 +288,52 @@ var isObject = exports.isObject = function (arg) {
   return '[object Object]' == toString.call(arg)
 }
 
+/**
+ * Invoke a callback style method with a trailing callback appended to its
+ * arguments, returning a Promise resolved with the first result value.
+ *
+ * @ignore
+ * @api private
+ */
+var toPromise = function(self, method, args) {
+  args = Array.prototype.slice.call(args, 0);
+
+  return new Promise(function(resolve, reject) {
+    args.push(function(err, result) {
+      if(err) return reject(err);
+      resolve(result);
+    });
+
+    method.apply(self, args);
+  });
+}
+
+/**
+ * Wrap the named methods of an object so they return a Promise
+ * when invoked without a trailing callback function.
+ *
+ * Methods that take functions as leading arguments (group, mapReduce, eval)
+ * pass the number of those arguments in leading, so a trailing function is
+ * only treated as the callback when it comes after them.
+ *
+ * @ignore
+ * @api private
+ */
+var promisify = function(object, names, leading) {
+  leading = leading || {};
+
+  names.forEach(function(name) {
+    var method = object[name];
+    var required = leading[name] || 0;
+
+    object[name] = function() {
+      if(arguments.length > required
+        && typeof arguments[arguments.length - 1] == 'function') return method.apply(this, arguments);
+      return toPromise(this, method, arguments);
+    }
+  });
+}
+
 var decorateCommand = function(command, options, exclude) {
   for(var name in options) {
     if(exclude[name] == null) command[name] = options[name];
@@ -212,6 +342,18 @@ var decorateCommand = function(command, options, exclude) {
   return command;
 }
 
+// A replacement document does not contain any atomic operator
+var isReplacementDocument = function(doc) {
+  if(doc == null || typeof doc != 'object' || Array.isArray(doc)) return false;
+  var keys = Object.keys(doc);
+
+  for(var i = 0; i < keys.length; i++) {
+    if(keys[i][0] == '$') return false;
+  }
+
+  return true;
+}
+
 exports.shallowClone = shallowClone;
 exports.getSingleProperty = getSingleProperty;
 exports.checkCollectionName = checkCollectionName;
@@ -221,4 +363,11 @@ exports.parseIndexOptions = parseIndexOptions;
 exports.normalizeHintField = normalizeHintField;
 exports.handleCallback = handleCallback;
 exports.decorateCommand = decorateCommand;
-exports.isObject = isObject;
\ No newline at end of file
+exports.toPromise = toPromise;
+exports.isRetryableError = isRetryableError;
+exports.executeWithRetry = executeWithRetry;
+exports.promisify = promisify;
+exports.isObject = isObject;
+exports.checkCollation = checkCollation;
+exports.checkReadConcern = checkReadConcern;
+exports.isReplacementDocument = isReplacementDocument;
\ No newline at end of file
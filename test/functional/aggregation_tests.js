@@ -759,3 +759,150 @@ exports['Should correctly use aggregation as a cursor'] = {
     // DOC_END
   }
 }
+
+/**
+ * @ignore
+ */
+exports['Should build a pipeline with the fluent aggregation cursor'] = {
+  metadata: { requires: { mongodb: ">=3.2.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var authors = db.collection('fluentAggregationAuthors');
+      var articles = db.collection('fluentAggregationArticles');
+
+      authors.insertMany([{_id:'bob', country:'us'}, {_id:'dave', country:'uk'}], function(err, r) {
+        test.equal(null, err);
+
+        articles.insertMany([
+            {author:'bob', tags:['fun', 'good'], views:10}
+          , {author:'dave', tags:['fun'], views:5}
+          , {author:'bob', tags:['nasty'], views:1}
+        ], function(err, r) {
+          test.equal(null, err);
+
+          articles.aggregate()
+            .match({views: {$gte: 5}})
+            .unwind('$tags')
+            .group({_id: '$tags', authors: {$addToSet: '$author'}})
+            .sort({_id: 1})
+            .project({_id: 1, authors: 1})
+            .limit(1)
+            .toArray(function(err, docs) {
+              test.equal(null, err);
+              test.deepEqual([{_id: 'fun', authors: docs[0].authors}], docs);
+              test.equal(2, docs[0].authors.length);
+
+              var cursor = articles.aggregate()
+                .match({author: 'bob'})
+                .lookup({from: 'fluentAggregationAuthors', localField: 'author', foreignField: '_id', as: 'authorInfo'})
+                .out('fluentAggregationOut');
+
+              test.throws(function() {
+                cursor.limit(1);
+              });
+
+              cursor.toArray(function(err, docs) {
+                test.equal(null, err);
+                test.equal(0, docs.length);
+
+                db.collection('fluentAggregationOut').find({}).toArray(function(err, docs) {
+                  test.equal(null, err);
+                  test.equal(2, docs.length);
+                  test.equal('us', docs[0].authorInfo[0].country);
+
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should stream and iterate the fluent aggregation cursor'] = {
+  metadata: { requires: { mongodb: ">=2.6.0", node: ">=10.0.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('fluentAggregationStream');
+
+      collection.insertMany([{a:1}, {a:2}, {a:3}], function(err, r) {
+        test.equal(null, err);
+
+        var values = [];
+        var stream = collection.aggregate().sort({a:1}).batchSize(1).stream();
+        stream.on('data', function(doc) {
+          values.push(doc.a);
+        });
+
+        stream.on('end', function() {
+          test.deepEqual([1, 2, 3], values);
+
+          var cursor = collection.aggregate().match({a: {$gt: 1}}).sort({a:-1});
+          var iterator = cursor[Symbol.asyncIterator]();
+
+          iterator.next().then(function(result) {
+            test.equal(3, result.value.a);
+
+            test.throws(function() {
+              cursor.match({a:1});
+            });
+
+            return iterator.return();
+          }).then(function() {
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should summarize aggregation explain output for a verbosity'] = {
+  metadata: { requires: { mongodb: ">=3.2.0", topology: ['single', 'replicaset', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('aggregationExplainSummary');
+
+      collection.insertMany([{a:1, b:1}, {a:2, b:1}, {a:3, b:2}], function(err, r) {
+        test.equal(null, err);
+
+        collection.aggregate([{$match: {a: {$gt: 1}}}, {$group: {_id: '$b'}}], {explain: 'queryPlanner'}, function(err, explain) {
+          test.equal(null, err);
+          test.equal(true, explain.collectionScan);
+          test.ok(explain.raw != null);
+
+          collection.createIndex({a:1}, function(err, r) {
+            test.equal(null, err);
+
+            collection.aggregate().match({a: 2}).explain('queryPlanner', function(err, explain) {
+              test.equal(null, err);
+              test.equal(false, explain.collectionScan);
+              test.equal('a_1', explain.index);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
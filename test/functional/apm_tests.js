@@ -0,0 +1,139 @@
+/**
+ * @ignore
+ */
+exports['Should correctly emit command monitoring events for commands and writes'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var started = [];
+      var succeeded = [];
+
+      db.on('commandStarted', function(event) { started.push(event); });
+      db.on('commandSucceeded', function(event) { succeeded.push(event); });
+
+      var collection = db.collection('shouldCorrectlyEmitApmEvents');
+      collection.insert({a:1}, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        collection.count({}, function(err, count) {
+          test.equal(null, err);
+
+          test.equal('insert', started[0].commandName);
+          test.equal('count', started[1].commandName);
+          test.equal(db.databaseName + '.shouldCorrectlyEmitApmEvents', started[1].namespace);
+          test.equal(started[1].requestId, succeeded[1].requestId);
+          test.ok(typeof succeeded[1].duration == 'number');
+          test.ok(succeeded[1].address != null);
+
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should correctly emit find and getMore events for cursors'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('shouldCorrectlyEmitApmCursorEvents');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+        var commands = [];
+
+        var succeeded = [];
+
+        db.on('commandStarted', function(event) { commands.push(event.commandName); });
+        db.on('commandSucceeded', function(event) { succeeded.push(event.commandName); });
+        collection.find({}).batchSize(2).toArray(function(err, items) {
+          test.equal(null, err);
+          test.equal(10, items.length);
+          test.equal('find', commands[0]);
+
+          // Only the getMores sent to the server are reported, at most four for the eight remaining documents
+          var getMores = commands.filter(function(name) { return name == 'getMore'; });
+          test.ok(getMores.length > 0 && getMores.length <= 4);
+          test.deepEqual(commands, succeeded);
+
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should only relay monitoring events to dbs with listeners'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var topology = db.serverConfig;
+      var listeners = topology.listeners('commandStarted').length;
+      var listener = function() {};
+
+      // Every db sharing the topology relays while it has listeners
+      var other = db.db('apm_relay_tests');
+      other.on('commandStarted', listener);
+      other.on('commandStarted', listener);
+      test.equal(listeners + 1, topology.listeners('commandStarted').length);
+
+      other.removeListener('commandStarted', listener);
+      test.equal(listeners + 1, topology.listeners('commandStarted').length);
+      other.removeListener('commandStarted', listener);
+      test.equal(listeners, topology.listeners('commandStarted').length);
+
+      db.on('commandStarted', listener);
+      test.equal(listeners + 1, topology.listeners('commandStarted').length);
+      db.close();
+      test.equal(listeners, topology.listeners('commandStarted').length);
+      test.done();
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should redact sensitive commands in command monitoring events'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.once('commandStarted', function(event) {
+        test.equal('getnonce', event.commandName);
+        test.deepEqual({}, event.command);
+
+        db.close();
+        test.done();
+      });
+
+      db.command({getnonce:1}, function() {});
+    });
+  }
+}
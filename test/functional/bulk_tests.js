@@ -1220,4 +1220,87 @@ exports['Should fail with w:2 and wtimeout write concern due single mongod insta
       });
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should correctly execute ordered bulkWrite with operation models'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1, auto_reconnect:false});
+    db.open(function(err, db) {
+      var col = db.collection('bulk_write_ordered_models');
+
+      col.bulkWrite([
+          {insertOne: {document: {a:1}}}
+        , {updateMany: {filter: {a:1}, update: {$set: {b:1}}}}
+        , {updateOne: {filter: {a:2}, update: {$set: {b:2}}, upsert: true}}
+        , {insertOne: {document: {_id:10, a:3}}}
+        , {replaceOne: {filter: {a:4}, replacement: {a:4, c:1}, upsert: true}}
+        , {deleteOne: {filter: {a:3}}}
+        , {deleteMany: {filter: {b:100}}}
+      ], function(err, r) {
+        test.equal(null, err);
+        test.equal(2, r.insertedCount);
+        test.equal(1, r.matchedCount);
+        test.equal(2, r.upsertedCount);
+        test.equal(1, r.deletedCount);
+        test.equal(10, r.insertedIds[3]);
+        test.ok(r.insertedIds[0] != null);
+        test.deepEqual([2, 4], Object.keys(r.upsertedIds).map(Number));
+
+        col.bulkWrite([{insertOne: {document: {_id:10}}}, {insertOne: {document: {_id:11}}}], function(err, r) {
+          test.equal(0, err.index);
+          test.ok(err.code == 11000 || err.code == 11001);
+          test.equal(1, err.writeErrors.length);
+          test.deepEqual({}, r.insertedIds);
+
+          col.bulkWrite([{updateOne: {filter: {a:1}, update: {a:2}}}], function(err, r) {
+            test.ok(err != null);
+
+            col.bulkWrite([{unknownOp: {filter: {}}}], function(err, r) {
+              test.ok(err != null);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should correctly map indexes of unordered bulkWrite results'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1, auto_reconnect:false});
+    db.open(function(err, db) {
+      var col = db.collection('bulk_write_unordered_models');
+
+      col.bulkWrite([
+          {insertOne: {document: {_id:1}}}
+        , {updateOne: {filter: {a:1}, update: {$set: {b:1}}, upsert: true}}
+        , {insertOne: {document: {_id:1}}}
+        , {deleteOne: {filter: {_id:5}}}
+        , {updateOne: {filter: {a:2}, update: {$set: {b:2}}, upsert: true}}
+        , {insertOne: {document: {_id:2}}}
+      ], {ordered: false}, function(err, r) {
+        test.equal(2, err.index);
+        test.equal(2, r.insertedCount);
+        test.deepEqual({0:1, 5:2}, r.insertedIds);
+        test.deepEqual([1, 4], Object.keys(r.upsertedIds).map(Number));
+
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
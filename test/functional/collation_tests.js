@@ -0,0 +1,159 @@
+var caseInsensitive = {locale: 'en', strength: 2};
+
+/**
+ * @ignore
+ */
+exports['Should apply collation to find, count, distinct and aggregate'] = {
+  metadata: { requires: { mongodb: ">=3.4.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('collation_reads');
+
+      collection.insertMany([{name:'bob'}, {name:'Bob'}, {name:'alice'}], function(err, r) {
+        test.equal(null, err);
+
+        collection.find({name:'BOB'}, {collation: caseInsensitive}).toArray(function(err, docs) {
+          test.equal(null, err);
+          test.equal(2, docs.length);
+
+          collection.count({name:'BOB'}, {collation: caseInsensitive}, function(err, count) {
+            test.equal(null, err);
+            test.equal(2, count);
+
+            collection.distinct('name', {}, {collation: caseInsensitive}, function(err, values) {
+              test.equal(null, err);
+              test.equal(2, values.length);
+
+              collection.aggregate([{$match: {name:'BOB'}}], {collation: caseInsensitive}, function(err, docs) {
+                test.equal(null, err);
+                test.equal(2, docs.length);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply the collection default collation to writes and bulk operations'] = {
+  metadata: { requires: { mongodb: ">=3.4.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('collation_writes', {collation: caseInsensitive});
+      test.deepEqual(caseInsensitive, collection.collation);
+
+      collection.insertMany([{name:'bob'}, {name:'Bob'}, {name:'alice'}], function(err, r) {
+        test.equal(null, err);
+
+        collection.updateMany({name:'BOB'}, {$set: {a:1}}, function(err, r) {
+          test.equal(null, err);
+          test.equal(2, r.matchedCount);
+
+          // An explicit collation overrides the default
+          collection.updateMany({name:'BOB'}, {$set: {a:2}}, {collation: {locale: 'simple'}}, function(err, r) {
+            test.equal(null, err);
+            test.equal(0, r.matchedCount);
+
+            var batch = collection.initializeOrderedBulkOp();
+            batch.find({name:'ALICE'}).updateOne({$set: {a:3}});
+            batch.find({name:'Alice'}).collation({locale: 'simple'}).remove();
+
+            batch.execute(function(err, result) {
+              test.equal(null, err);
+              test.equal(1, result.nMatched);
+              test.equal(0, result.nRemoved);
+
+              collection.deleteMany({name:'BOB'}, function(err, r) {
+                test.equal(null, err);
+                test.equal(2, r.deletedCount);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should create unique indexes with a collation'] = {
+  metadata: { requires: { mongodb: ">=3.4.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('collation_unique_index');
+
+      collection.createIndex({name:1}, {unique:true, collation: caseInsensitive}, function(err, r) {
+        test.equal(null, err);
+
+        collection.insertOne({name:'bob'}, function(err, r) {
+          test.equal(null, err);
+
+          collection.insertOne({name:'BOB'}, function(err, r) {
+            test.equal(11000, err.code);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should fail operations using a collation on servers before 3.4'] = {
+  metadata: { requires: { mongodb: "<3.4.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('collation_unsupported');
+
+      try {
+        collection.find({}, {collation: caseInsensitive});
+        test.ok(false);
+      } catch(err) {
+        test.ok(err.message.indexOf('collation is not supported') != -1);
+      }
+
+      collection.count({}, {collation: caseInsensitive}, function(err, count) {
+        test.ok(err.message.indexOf('collation is not supported') != -1);
+
+        collection.updateOne({}, {$set: {a:1}}, {collation: caseInsensitive}, function(err, r) {
+          test.ok(err.message.indexOf('collation is not supported') != -1);
+
+          collection.createIndex({a:1}, {collation: caseInsensitive}, function(err, r) {
+            test.ok(err.message.indexOf('collation is not supported') != -1);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
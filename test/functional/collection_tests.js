@@ -1552,4 +1552,39 @@ exports['Should correctly execute remove with elemMatch field in selector'] = {
       });
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should correctly return promises when no callback is provided'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open().then(function(db) {
+      var collection = db.collection('shouldCorrectlyReturnPromises');
+
+      collection.insert([{a:1}, {a:2}], configuration.writeConcernMax()).then(function(docs) {
+        test.equal(2, docs.length);
+        return collection.count({});
+      }).then(function(count) {
+        test.equal(2, count);
+        return collection.find({}).sort({a:1}).toArray();
+      }).then(function(docs) {
+        test.equal(1, docs[0].a);
+        test.equal(2, docs[1].a);
+        return db.command({ping:1});
+      }).then(function(result) {
+        test.equal(1, result.ok);
+
+        db.close();
+        test.done();
+      }).catch(function(err) {
+        test.ok(false, err.message);
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
@@ -334,4 +334,144 @@ exports['Should correctly reconnect and finish query operation'] = {
       });
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should expose pool statistics on connections'] = {
+  metadata: { requires: { topology: 'single' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:3});
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.collection('pool_statistics').insert({a:1}, function(err, r) {
+        test.equal(null, err);
+
+        var connections = db.serverConfig.connections();
+        test.equal(3, connections.length);
+        test.equal(3, connections.stats.totalConnections);
+        test.equal(3, connections.stats.connected);
+        test.equal(3, connections.stats.minPoolSize);
+        test.equal(3, connections.stats.maxPoolSize);
+        test.equal(0, connections.stats.operationsInProgress);
+        test.equal(0, connections.stats.waitQueueSize);
+        test.ok(connections.stats.totalOperations > 0);
+
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should open minPoolSize connections and close idle connections above it'] = {
+  metadata: { requires: { topology: 'single' } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:3, minPoolSize:1, maxIdleTimeMS:200});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      test.equal(1, db.serverConfig.connections().length);
+      var collection = db.collection('pool_min_pool_size');
+
+      collection.insert({a:1}, function(err, r) {
+        test.equal(null, err);
+        var finished = 0;
+
+        // Two operations wait for the first one, opening two more connections
+        for(var i = 0; i < 3; i++) {
+          collection.count({$where: "sleep(200) || true"}, function(err, count) {
+            test.equal(null, err);
+            test.equal(1, count);
+            finished = finished + 1;
+            if(finished < 3) return;
+
+            test.equal(3, db.serverConfig.connections().length);
+
+            // The connections above minPoolSize close after maxIdleTimeMS
+            setTimeout(function() {
+              test.equal(1, db.serverConfig.connections().length);
+              db.close();
+              test.done();
+            }, 500);
+          });
+        }
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should time out operations waiting for a busy pool'] = {
+  metadata: { requires: { topology: 'single' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1, waitQueueTimeoutMS:100});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('pool_wait_queue_timeout');
+
+      collection.insert({a:1}, function(err, r) {
+        test.equal(null, err);
+
+        // Hold the only connection
+        collection.count({$where: "sleep(500) || true"}, function(err, count) {
+          test.equal(null, err);
+          test.equal(1, count);
+
+          var stats = db.serverConfig.connections().stats;
+          test.equal(1, stats.waitQueueTimeouts);
+          db.close();
+          test.done();
+        });
+
+        collection.count({}, function(err, count) {
+          test.ok(err != null);
+          test.ok(err.message.indexOf('waiting for a connection') != -1);
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should reject operations when the wait queue is full'] = {
+  metadata: { requires: { topology: 'single' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1, waitQueueMultiple:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('pool_wait_queue_full');
+      var errors = 0;
+      var finished = 0;
+
+      // One operation in flight, one waiting and one rejected
+      for(var i = 0; i < 3; i++) {
+        collection.insert({a:i}, function(err, r) {
+          if(err) errors = errors + 1;
+          finished = finished + 1;
+          if(finished < 3) return;
+
+          test.equal(1, errors);
+          test.equal(1, db.serverConfig.connections().stats.waitQueueRejections);
+          db.close();
+          test.done();
+        });
+      }
+    });
+  }
+}
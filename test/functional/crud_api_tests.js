@@ -0,0 +1,321 @@
+/**
+ * @ignore
+ */
+exports['Should return insertOne and insertMany results'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_inserts');
+
+      collection.insertOne({a:1}, function(err, r) {
+        test.equal(null, err);
+        test.equal(true, r.acknowledged);
+        test.equal(1, r.insertedCount);
+        test.ok(r.insertedId != null);
+
+        collection.insertMany([{_id:1}, {_id:2, a:2}], function(err, r) {
+          test.equal(null, err);
+          test.equal(2, r.insertedCount);
+          test.deepEqual({0:1, 1:2}, r.insertedIds);
+
+          collection.insertMany([{_id:1}], function(err, r) {
+            test.equal(11000, err.code);
+
+            collection.insertOne([{a:1}], function(err, r) {
+              test.ok(err != null);
+
+              collection.insertMany([], function(err, r) {
+                test.ok(err != null);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should return updateOne, updateMany and replaceOne results'] = {
+  metadata: { requires: { mongodb: ">=2.6.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_updates');
+
+      collection.insertMany([{a:1}, {a:1}, {a:2}], function(err, r) {
+        test.equal(null, err);
+
+        collection.updateOne({a:1}, {$set: {b:1}}, function(err, r) {
+          test.equal(null, err);
+          test.equal(1, r.matchedCount);
+          test.equal(1, r.modifiedCount);
+          test.equal(0, r.upsertedCount);
+          test.equal(null, r.upsertedId);
+
+          collection.updateMany({a:1}, {$set: {b:1}}, function(err, r) {
+            test.equal(null, err);
+            test.equal(2, r.matchedCount);
+            test.equal(1, r.modifiedCount);
+
+            collection.replaceOne({a:3}, {a:3, c:1}, {upsert:true}, function(err, r) {
+              test.equal(null, err);
+              test.equal(0, r.matchedCount);
+              test.equal(1, r.upsertedCount);
+              test.ok(r.upsertedId != null);
+
+              collection.count({a:3}, function(err, count) {
+                test.equal(1, count);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should reject updates without operators and replacements with operators'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_validation');
+
+      collection.insertOne({a:1}, function(err, r) {
+        test.equal(null, err);
+
+        collection.updateOne({a:1}, {a:2}, function(err, r) {
+          test.equal('update document requires atomic operators', err.message);
+
+          collection.updateMany({a:1}, {$set: {b:1}, c:1}, function(err, r) {
+            test.equal('update document requires atomic operators', err.message);
+
+            collection.replaceOne({a:1}, {$set: {a:2}}, function(err, r) {
+              test.equal('replacement document must not contain atomic operators', err.message);
+
+              collection.findOne({a:1}, function(err, doc) {
+                test.equal(undefined, doc.b);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should return deleteOne and deleteMany results'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_deletes');
+
+      collection.insertMany([{a:1}, {a:1}, {a:1}], function(err, r) {
+        test.equal(null, err);
+
+        collection.deleteOne({a:1}, function(err, r) {
+          test.equal(null, err);
+          test.equal(true, r.acknowledged);
+          test.equal(1, r.deletedCount);
+
+          collection.deleteMany({a:1}).then(function(r) {
+            test.equal(2, r.deletedCount);
+
+            collection.deleteMany({a:1}, {w:0}, function(err, r) {
+              test.equal(null, err);
+              test.equal(false, r.acknowledged);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should return findOneAndUpdate, findOneAndReplace and findOneAndDelete results'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_find_and_modify');
+
+      collection.insertMany([{a:1, b:1}, {a:2, b:1}], function(err, r) {
+        test.equal(null, err);
+
+        collection.findOneAndUpdate({b:1}, {$inc: {a:10}}, {sort: {a:-1}, projection: {_id:0, a:1}}, function(err, r) {
+          test.equal(null, err);
+          test.deepEqual({a:2}, r.value);
+          test.equal(1, r.ok);
+          test.equal(1, r.lastErrorObject.n);
+
+          collection.findOneAndUpdate({a:1}, {$inc: {a:1}}, {returnDocument: 'after', projection: {_id:0, a:1}}, function(err, r) {
+            test.equal(null, err);
+            test.deepEqual({a:2}, r.value);
+
+            collection.findOneAndReplace({a:3}, {a:3, c:1}, {upsert: true, returnDocument: 'after'}, function(err, r) {
+              test.equal(null, err);
+              test.equal(1, r.value.c);
+              test.equal(false, r.lastErrorObject.updatedExisting);
+
+              collection.findOneAndDelete({b:1}, {sort: {a:1}}, function(err, r) {
+                test.equal(null, err);
+                test.equal(2, r.value.a);
+
+                collection.findOneAndDelete({b:100}).then(function(r) {
+                  test.equal(null, r.value);
+
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should validate findOneAndUpdate and findOneAndReplace documents and options'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_find_and_modify_validation');
+
+      collection.findOneAndUpdate({a:1}, {a:2}, function(err, r) {
+        test.equal('update document requires atomic operators', err.message);
+
+        collection.findOneAndReplace({a:1}, {$set: {a:2}}, function(err, r) {
+          test.equal('replacement document must not contain atomic operators', err.message);
+
+          collection.findOneAndUpdate({a:1}, {$set: {a:2}}, {returnDocument: 'new'}, function(err, r) {
+            test.equal("returnDocument must be either 'before' or 'after'", err.message);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should send the write concern with findOneAndUpdate, findOneAndReplace and findOneAndDelete'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'], mongodb: '>=3.2.0' } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_find_and_modify_write_concern');
+      var started = [];
+      db.on('commandStarted', function(event) { started.push(event); });
+
+      collection.findOneAndUpdate({a:1}, {$set: {a:1}}, {upsert: true, w: 1, wtimeout: 1000}, function(err, r) {
+        test.equal(null, err);
+
+        collection.findOneAndReplace({a:1}, {a:2}, {w: 1, j: true}, function(err, r) {
+          test.equal(null, err);
+
+          collection.findOneAndDelete({a:2}, {w: 1}, function(err, r) {
+            test.equal(null, err);
+            test.equal(2, r.value.a);
+
+            test.deepEqual({w: 1, wtimeout: 1000}, started[0].command.writeConcern);
+            test.deepEqual({w: 1, j: true}, started[1].command.writeConcern);
+            test.deepEqual({w: 1}, started[2].command.writeConcern);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should return countDocuments and estimatedDocumentCount results'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('crud_api_count_documents');
+
+      collection.insertMany([{a:1}, {a:1}, {a:1}, {a:2}], function(err, r) {
+        test.equal(null, err);
+
+        collection.countDocuments({a:1}, function(err, count) {
+          test.equal(null, err);
+          test.equal(3, count);
+
+          collection.countDocuments({a:1}, {skip:1, limit:1}, function(err, count) {
+            test.equal(null, err);
+            test.equal(1, count);
+
+            collection.countDocuments({a:3}).then(function(count) {
+              test.equal(0, count);
+
+              collection.estimatedDocumentCount(function(err, count) {
+                test.equal(null, err);
+                test.equal(4, count);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
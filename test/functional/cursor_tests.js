@@ -2853,4 +2853,495 @@ exports.shouldCorrectlyUseFindAndCursorCount = {
     });
     // DOC_END
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should correctly iterate cursor using the async iterator protocol'] = {
+  metadata: { requires: { node: ">=10.0.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldCorrectlyUseAsyncIterator');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var cursor = collection.find({}).batchSize(2);
+        var iterator = cursor[Symbol.asyncIterator]();
+        var count = 0;
+
+        var iterate = function() {
+          iterator.next().then(function(result) {
+            if(result.done) {
+              test.equal(10, count);
+              test.ok(cursor.isClosed());
+
+              db.close();
+              return test.done();
+            }
+
+            count = count + 1;
+            iterate();
+          });
+        }
+
+        iterate();
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should close aggregation cursor when async iteration exits early'] = {
+  metadata: { requires: { node: ">=10.0.0", mongodb: ">2.5.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldCloseAggregationCursorOnReturn');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var cursor = collection.aggregate([{$match: {}}], {cursor: {batchSize: 2}});
+        var iterator = cursor[Symbol.asyncIterator]();
+
+        iterator.next().then(function(result) {
+          test.equal(false, result.done);
+          return iterator.return();
+        }).then(function(result) {
+          test.equal(true, result.done);
+          test.ok(cursor.isClosed());
+
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply map and filter to nextObject, each and toArray'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldApplyMapAndFilter');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        // Maps and filters compose in the order they are added
+        var cursor = function() {
+          return collection.find({}).sort({a:1}).batchSize(3)
+            .map(function(doc) { return doc.a; })
+            .filter(function(a) { return a % 2 == 0; })
+            .map(function(a) { return {value: a * 10}; });
+        }
+
+        cursor().toArray(function(err, values) {
+          test.equal(null, err);
+          test.deepEqual([0, 20, 40, 60, 80], values.map(function(v) { return v.value; }));
+
+          cursor().nextObject(function(err, value) {
+            test.equal(null, err);
+            test.deepEqual({value: 0}, value);
+
+            var eachValues = [];
+            cursor().each(function(err, value) {
+              test.equal(null, err);
+              if(value != null) return eachValues.push(value.value);
+
+              test.deepEqual([0, 20, 40, 60, 80], eachValues);
+
+              // Errors thrown by a map are returned to the callback
+              collection.find({}).map(function(doc) { throw new Error('bad document'); }).toArray(function(err, values) {
+                test.equal('bad document', err.message);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply map and filter to next after hasNext'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldApplyMapAndFilterToNext');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var cursor = collection.find({}).sort({a:1}).batchSize(3)
+          .filter(function(doc) { return doc.a % 2 == 0; })
+          .map(function(doc) { return doc.a * 10; });
+        var values = [];
+
+        // The document fetched by hasNext is returned by next without fetching another
+        var iterate = function() {
+          return cursor.hasNext().then(function(hasNext) {
+            if(!hasNext) return values;
+
+            return cursor.next().then(function(value) {
+              values.push(value);
+              return iterate();
+            });
+          });
+        }
+
+        iterate().then(function(values) {
+          test.deepEqual([0, 20, 40, 60, 80], values);
+
+          db.close();
+          test.done();
+        }).catch(function(err) {
+          test.ok(false, err.message);
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply map and filter to streams and async iteration'] = {
+  metadata: { requires: { node: ">=10.0.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldApplyMapAndFilterToStreams');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var streamed = [];
+        var stream = collection.find({}).sort({a:1})
+          .filter(function(doc) { return doc.a >= 5; })
+          .map(function(doc) { return doc.a; })
+          .stream();
+
+        stream.on('data', function(a) {
+          streamed.push(a);
+        });
+
+        stream.on('end', function() {
+          test.deepEqual([5, 6, 7, 8, 9], streamed);
+
+          var cursor = collection.find({}).sort({a:1}).map(function(doc) { return doc.a + 1; });
+          var iterator = cursor[Symbol.asyncIterator]();
+
+          iterator.next().then(function(result) {
+            test.equal(1, result.value);
+            return iterator.return();
+          }).then(function() {
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply chainable query modifiers and cursor flags'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldApplyChainableQueryModifiers');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i, b:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        collection.ensureIndex({a:1}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+
+          collection.find({})
+            .hint({a:1})
+            .min({a:2})
+            .max({a:5})
+            .comment('chainable modifiers')
+            .project({_id:0, a:1})
+            .addCursorFlag('noCursorTimeout', true)
+            .addQueryModifier('$orderby', {a:-1})
+            .toArray(function(err, docs) {
+              test.equal(null, err);
+              test.deepEqual([{a:4}, {a:3}, {a:2}], docs);
+
+              collection.find({a:1}).hint({a:1}).returnKey(true).toArray(function(err, docs) {
+                test.equal(null, err);
+                test.deepEqual([{a:1}], docs);
+
+                test.throws(function() {
+                  collection.find({}).addCursorFlag('notAFlag', true);
+                });
+
+                test.throws(function() {
+                  collection.find({}).addQueryModifier('orderby', {a:1});
+                });
+
+                var cursor = collection.find({});
+                cursor.nextObject(function(err, doc) {
+                  test.equal(null, err);
+
+                  try {
+                    cursor.comment('too late');
+                    test.ok(false);
+                  } catch(err) {
+                    test.equal('Cursor is closed', err.message);
+                  }
+
+                  try {
+                    cursor.addCursorFlag('partial', true);
+                    test.ok(false);
+                  } catch(err) {
+                    test.equal('Cursor is closed', err.message);
+                  }
+
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should peek with hasNext, rewind and clone cursors'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldPeekRewindAndCloneCursors');
+
+      collection.insert([{a:1}, {a:2}, {a:3}], configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var cursor = collection.find({}).sort({a:1}).map(function(doc) { return doc.a; });
+        cursor.hasNext(function(err, hasNext) {
+          test.equal(null, err);
+          test.equal(true, hasNext);
+
+          cursor.hasNext(function(err, hasNext) {
+            test.equal(true, hasNext);
+
+            cursor.toArray(function(err, values) {
+              test.equal(null, err);
+              test.deepEqual([1, 2, 3], values);
+
+              cursor.rewind().toArray(function(err, values) {
+                test.equal(null, err);
+                test.deepEqual([1, 2, 3], values);
+
+                var clone = cursor.clone().filter(function(a) { return a > 1; });
+                clone.toArray(function(err, values) {
+                  test.equal(null, err);
+                  test.deepEqual([2, 3], values);
+
+                  collection.find({a:10}).hasNext().then(function(hasNext) {
+                    test.equal(false, hasNext);
+
+                    db.close();
+                    test.done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should stop forEach when the iterator returns false and report errors once'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldStopForEachEarly');
+      var docs = [];
+      for(var i = 0; i < 100; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var seen = [];
+        var cursor = collection.find({}).sort({a:1}).batchSize(10);
+        cursor.forEach(function(doc) {
+          seen.push(doc.a);
+          if(doc.a == 4) return false;
+        }, function(err) {
+          test.equal(null, err);
+          test.deepEqual([0, 1, 2, 3, 4], seen);
+          test.equal(true, cursor.isClosed());
+
+          var calls = 0;
+          collection.find({}).forEach(function(doc) {
+            throw new Error('bad document');
+          }, function(err) {
+            calls = calls + 1;
+            test.equal('bad document', err.message);
+
+            collection.find({}).forEach(function(doc) {}).then(function() {
+              test.equal(1, calls);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should count through the command path using the cursor hint, skip and limit'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var ReadPreference = configuration.require.ReadPreference;
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldCountThroughCommandPath');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        var cursor = collection.find({a: {$gte: 2}}, {readPreference: ReadPreference.PRIMARY_PREFERRED})
+          .skip(1).limit(5);
+
+        cursor.count(function(err, count) {
+          test.equal(null, err);
+          test.equal(8, count);
+
+          cursor.count(true, function(err, count) {
+            test.equal(null, err);
+            test.equal(5, count);
+
+            // The cursor hint is sent with the count
+            collection.find({}).hint({doesNotExist:1}).count(function(err, count) {
+              test.ok(err != null);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should summarize cursor explain output for a verbosity'] = {
+  metadata: { requires: { mongodb: ">=3.2.0", topology: ['single', 'replicaset', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldSummarizeCursorExplain');
+      var docs = [];
+      for(var i = 0; i < 10; i++) docs.push({a:i, b:i});
+
+      collection.insert(docs, configuration.writeConcernMax(), function(err, result) {
+        test.equal(null, err);
+
+        collection.ensureIndex({a:1}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+
+          collection.find({b: {$gt: 5}}).sort({b:1}).explain('executionStats', function(err, explain) {
+            test.equal(null, err);
+            test.equal(true, explain.collectionScan);
+            test.equal(true, explain.sortInMemory);
+            test.equal(null, explain.index);
+            test.equal(10, explain.docsExamined);
+            test.equal(4, explain.nReturned);
+            test.ok(explain.warnings.length > 0);
+            test.ok(explain.raw != null);
+
+            collection.find({a:2}).explain('queryPlanner').then(function(explain) {
+              test.equal(false, explain.collectionScan);
+              test.equal('a_1', explain.index);
+              test.equal(null, explain.docsExamined);
+              test.ok(explain.winningPlan.stage != null);
+
+              collection.find({a:2}).explain('verbose', function(err, explain) {
+                test.ok(err != null);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
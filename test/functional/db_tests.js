@@ -1660,4 +1660,128 @@ exports.shouldCorrectlyRetrieveDbStats = {
     });
     // DOC_END
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports.shouldCorrectlyIterateListCollectionsWithABatchSizeOfOne = {
+  metadata: { requires: { mongodb: ">=3.0.0", topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var listDb = db.db('list_collections_batch_size');
+      var getMores = 0;
+
+      listDb.on('commandStarted', function(event) {
+        if(event.commandName == 'getMore') getMores = getMores + 1;
+      });
+
+      listDb.createCollection('batch_a', function(err) {
+        test.equal(null, err);
+
+        listDb.createCollection('batch_b', function(err) {
+          test.equal(null, err);
+
+          listDb.createCollection('batch_c', function(err) {
+            test.equal(null, err);
+
+            // Every collection after the first one is fetched with a getMore
+            listDb.listCollections({name: /^batch_/}, {batchSize: 1}).toArray(function(err, collections) {
+              test.equal(null, err);
+              var names = collections.map(function(c) { return c.name; }).sort();
+              test.deepEqual(['batch_a', 'batch_b', 'batch_c'], names);
+              test.ok(getMores >= 2);
+
+              listDb.dropDatabase(function(err) {
+                test.equal(null, err);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports.shouldCorrectlyListCollectionsWithFilterAndNameOnly = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.createCollection('list_collections_capped', {capped:true, size:4096}, function(err, collection) {
+        test.equal(null, err);
+
+        db.listCollections({name: 'list_collections_capped'}).toArray(function(err, collections) {
+          test.equal(null, err);
+          test.equal(1, collections.length);
+          test.equal('list_collections_capped', collections[0].name);
+          test.equal(true, collections[0].options.capped);
+
+          db.listCollections({}, {nameOnly: true, batchSize: 1}).toArray(function(err, collections) {
+            test.equal(null, err);
+            var names = collections.map(function(c) { return c.name; });
+            test.ok(names.indexOf('list_collections_capped') != -1);
+            // Index namespaces are never listed
+            names.forEach(function(name) { test.equal(-1, name.indexOf('$')); });
+
+            // Legacy methods keep returning the full namespace
+            db.collectionNames('list_collections_capped', function(err, items) {
+              test.equal(null, err);
+              test.equal(1, items.length);
+              test.equal(db.databaseName + '.list_collections_capped', items[0].name);
+
+              db.collection('list_collections_missing', {strict: true}, function(err, collection) {
+                test.ok(err != null);
+
+                db.createCollection('list_collections_capped', {strict: true}, function(err, collection) {
+                  test.ok(err != null);
+
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+exports['Should return a promise from eval when the code is a function'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      db.eval(function() { return 5; }).then(function(result) {
+        test.equal(5, result);
+
+        return db.eval(function(x, y) { return x + y; }, [2, 3]);
+      }).then(function(result) {
+        test.equal(5, result);
+
+        db.close();
+        test.done();
+      }).catch(function(err) {
+        test.ok(false, err.message);
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
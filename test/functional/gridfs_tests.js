@@ -4547,4 +4547,262 @@ exports.shouldStreamDocumentsUsingTheReadStreamDestroyFunction = {
     });
     // DOC_END
   }
-}
\ No newline at end of file
+}
+/**
+ * Read a whole stream into a single buffer
+ * @ignore
+ */
+var readStream = function(stream, callback) {
+  var buffers = [];
+  stream.on('data', function(data) { buffers.push(data); });
+  stream.on('error', function(err) { callback(err); });
+  stream.on('end', function() { callback(null, Buffer.concat(buffers)); });
+}
+
+/**
+ * @ignore
+ */
+exports.shouldUploadAndDownloadUsingGridFSBucketStreams = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var GridFSBucket = configuration.require.GridFSBucket;
+
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var bucket = new GridFSBucket(db, {bucketName: 'bucket_streams', chunkSizeBytes: 5});
+
+      bucket.drop(function() {
+        var upload = bucket.openUploadStream('hello.txt', {metadata: {a: 1}, contentType: 'text/plain'});
+        upload.write('Hello ');
+        upload.end('world', function() {
+          test.equal(11, upload.gridFSFile.length);
+          test.equal(5, upload.gridFSFile.chunkSize);
+          test.equal('3e25960a79dbc69b674cd4ec67a72c62', upload.gridFSFile.md5);
+
+          bucket.chunksCollection.count({files_id: upload.id}, function(err, count) {
+            test.equal(null, err);
+            test.equal(3, count);
+
+            var download = bucket.openDownloadStream(upload.id);
+            var file = null;
+            download.on('file', function(doc) { file = doc; });
+
+            readStream(download, function(err, data) {
+              test.equal(null, err);
+              test.equal('Hello world', data.toString());
+              test.equal('text/plain', file.contentType);
+              test.deepEqual({a: 1}, file.metadata);
+
+              // Range spanning the chunk boundaries
+              readStream(bucket.openDownloadStream(upload.id, {start: 3, end: 8}), function(err, data) {
+                test.equal(null, err);
+                test.equal('lo wo', data.toString());
+
+                readStream(bucket.openDownloadStream(upload.id, {start: 4, end: 20}), function(err, data) {
+                  test.ok(err != null);
+
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports.shouldDownloadGridFSBucketRevisionsByName = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var GridFSBucket = configuration.require.GridFSBucket;
+
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var bucket = new GridFSBucket(db, {bucketName: 'bucket_revisions'});
+
+      bucket.drop(function() {
+        bucket.openUploadStream('file.txt').end('first', function() {
+          setTimeout(function() {
+            bucket.openUploadStream('file.txt').end('second', function() {
+              setTimeout(function() {
+                bucket.openUploadStream('file.txt').end('third', function() {
+
+                  readStream(bucket.openDownloadStreamByName('file.txt'), function(err, data) {
+                    test.equal('third', data.toString());
+
+                    readStream(bucket.openDownloadStreamByName('file.txt', {revision: 0}), function(err, data) {
+                      test.equal('first', data.toString());
+
+                      readStream(bucket.openDownloadStreamByName('file.txt', {revision: -2}), function(err, data) {
+                        test.equal('second', data.toString());
+
+                        readStream(bucket.openDownloadStreamByName('file.txt', {revision: 3}), function(err, data) {
+                          test.equal('ENOENT', err.code);
+
+                          db.close();
+                          test.done();
+                        });
+                      });
+                    });
+                  });
+                });
+              }, 10);
+            });
+          }, 10);
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports.shouldFindRenameAndDeleteGridFSBucketFiles = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var GridFSBucket = configuration.require.GridFSBucket;
+
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var bucket = new GridFSBucket(db, {bucketName: 'bucket_manage'});
+
+      bucket.drop(function() {
+        var upload = bucket.openUploadStream('old.txt');
+        upload.end('some data', function() {
+
+          bucket.rename(upload.id, 'new.txt', function(err) {
+            test.equal(null, err);
+
+            bucket.find({filename: 'new.txt'}).toArray(function(err, files) {
+              test.equal(null, err);
+              test.equal(1, files.length);
+              test.equal(upload.id.toHexString(), files[0]._id.toHexString());
+
+              bucket.delete(upload.id, function(err) {
+                test.equal(null, err);
+
+                bucket.chunksCollection.count({files_id: upload.id}, function(err, count) {
+                  test.equal(0, count);
+
+                  bucket.delete(upload.id, function(err) {
+                    test.equal('ENOENT', err.code);
+
+                    bucket.rename(upload.id, 'other.txt', function(err) {
+                      test.equal('ENOENT', err.code);
+
+                      db.close();
+                      test.done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports.shouldRenameAndDeleteGridFSBucketFilesWithUnacknowledgedWrites = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var GridFSBucket = configuration.require.GridFSBucket;
+
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var bucket = new GridFSBucket(db, {bucketName: 'bucket_unacknowledged'});
+      var unacknowledged = new GridFSBucket(db, {bucketName: 'bucket_unacknowledged', w: 0});
+
+      bucket.drop(function() {
+        var upload = bucket.openUploadStream('old.txt');
+        upload.end('some data', function() {
+
+          unacknowledged.rename(upload.id, 'new.txt', function(err) {
+            test.equal(null, err);
+
+            unacknowledged.delete(upload.id, function(err) {
+              test.equal(null, err);
+
+              // Give the unacknowledged delete time to be applied
+              setTimeout(function() {
+                bucket.find({_id: upload.id}).toArray(function(err, files) {
+                  test.equal(null, err);
+                  test.equal(0, files.length);
+
+                  db.close();
+                  test.done();
+                });
+              }, 100);
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports.shouldReadAndWriteGridStoreFilesUsingGridFSBucket = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var GridFSBucket = configuration.require.GridFSBucket
+      , GridStore = configuration.require.GridStore
+      , ObjectID = configuration.require.ObjectID;
+
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var bucket = new GridFSBucket(db, {bucketName: 'bucket_interop'});
+      var fileId = new ObjectID();
+
+      bucket.drop(function() {
+        var gs = new GridStore(db, fileId, 'gridstore.txt', 'w', {root: 'bucket_interop', chunk_size: 4});
+        gs.open(function(err, gs) {
+          gs.write('written by GridStore', function(err, gs) {
+            gs.close(function(err) {
+              test.equal(null, err);
+
+              readStream(bucket.openDownloadStream(fileId, {start: 11}), function(err, data) {
+                test.equal(null, err);
+                test.equal('GridStore', data.toString());
+
+                var upload = bucket.openUploadStream('bucket.txt', {chunkSizeBytes: 3});
+                upload.end('written by GridFSBucket', function() {
+
+                  GridStore.read(db, upload.id, null, null, {root: 'bucket_interop'}, function(err, data) {
+                    test.equal(null, err);
+                    test.equal('written by GridFSBucket', data.toString());
+
+                    db.close();
+                    test.done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
@@ -1014,4 +1014,145 @@ exports['should correctly set language_override option'] = {
       });
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['should correctly list indexes using a cursor'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection("should_correctly_list_indexes");
+      collection.ensureIndex({a:1}, {name:'a_index'}, function(err, result) {
+        test.equal(null, err);
+
+        collection.listIndexes({batchSize:1}).toArray(function(err, indexes) {
+          test.equal(null, err);
+          test.equal(2, indexes.length);
+          var names = indexes.map(function(index) { return index.name; }).sort();
+          test.deepEqual(['_id_', 'a_index'], names);
+
+          // Collections that do not exist have no indexes
+          db.collection('should_correctly_list_indexes_missing').indexInformation(function(err, info) {
+            test.equal(null, err);
+            test.deepEqual({}, info);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['should correctly synchronize indexes with specifications'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection("should_correctly_sync_indexes");
+      collection.insert({a:1, b:1, c:1}, function(err, result) {
+        test.equal(null, err);
+
+        collection.ensureIndex({a:1}, {name:'a_index'}, function(err, result) {
+          collection.ensureIndex({c:1}, function(err, result) {
+            test.equal(null, err);
+
+            var specs = [
+                {key: {a:1}, name: 'a_index', unique: true}
+              , {key: [['b', -1]], sparse: true}
+            ];
+
+            // Dry run only reports the changes
+            collection.syncIndexes(specs, {dropExtraneous: true, dryRun: true}, function(err, report) {
+              test.equal(null, err);
+              test.equal(true, report.dryRun);
+              test.equal(1, report.created.length);
+              test.equal('b_-1', report.created[0].name);
+              test.equal(1, report.conflicting.length);
+              test.deepEqual(['unique'], report.conflicting[0].differences);
+              test.equal(1, report.dropped.length);
+              test.equal('c_1', report.dropped[0].name);
+
+              collection.indexInformation({full:true}, function(err, indexes) {
+                test.equal(3, indexes.length);
+
+                collection.syncIndexes(specs, {dropExtraneous: true}, function(err, report) {
+                  test.equal(null, err);
+                  test.equal(false, report.dryRun);
+
+                  collection.indexInformation({full:true}, function(err, indexes) {
+                    var byName = {};
+                    indexes.forEach(function(index) { byName[index.name] = index; });
+                    test.equal(3, indexes.length);
+                    test.equal(true, byName['a_index'].unique);
+                    test.equal(true, byName['b_-1'].sparse);
+                    test.equal(undefined, byName['c_1']);
+
+                    collection.syncIndexes(specs).then(function(report) {
+                      test.equal(2, report.unchanged.length);
+                      test.equal(0, report.created.length + report.conflicting.length + report.dropped.length);
+
+                      db.close();
+                      test.done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['should rebuild an index matched by key pattern under its specified name when synchronizing'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1}, {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection("should_sync_indexes_by_key_pattern");
+      collection.insert({a:1, b:1}, function(err, result) {
+        test.equal(null, err);
+
+        collection.ensureIndex({a:1}, {name:'old_a'}, function(err, result) {
+          test.equal(null, err);
+
+          var specs = [{key: {a:1}, name: 'new_a'}, {key: {b:1}}];
+          collection.syncIndexes(specs, {dropExtraneous: true}, function(err, report) {
+            test.equal(null, err);
+            test.equal(1, report.created.length);
+            test.equal('b_1', report.created[0].name);
+            test.equal(1, report.conflicting.length);
+            test.equal('old_a', report.conflicting[0].existing.name);
+            test.deepEqual(['name'], report.conflicting[0].differences);
+            test.equal(0, report.dropped.length);
+
+            collection.indexInformation({full:true}, function(err, indexes) {
+              var names = indexes.map(function(index) { return index.name; }).sort();
+              test.deepEqual(['_id_', 'b_1', 'new_a'], names);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
@@ -762,3 +762,42 @@ exports.shouldPerformMapReduceWithScopeContainingFunction = {
     });
   }
 }
+
+exports['Should return promises from group and mapReduce when reduce and finalize are functions'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('shouldReturnGroupAndMapReducePromises');
+
+      collection.insert([{a:1}, {a:2}, {a:3}], configuration.writeConcernMax(), function(err, r) {
+        test.equal(null, err);
+
+        collection.group([], {}, {count:0}, function(obj, prev) { prev.count++; }).then(function(results) {
+          test.equal(3, results[0].count);
+
+          return collection.group([], {}, {count:0, total:0}
+            , function(obj, prev) { prev.count++; prev.total += obj.a; }
+            , function(out) { out.average = out.total / out.count; }, true);
+        }).then(function(results) {
+          test.equal(2, results[0].average);
+
+          return collection.mapReduce(function() { emit(1, this.a); }
+            , function(k, vals) { return Array.sum(vals); }, {out: {inline: 1}});
+        }).then(function(results) {
+          test.equal(1, results.length);
+          test.equal(6, results[0].value);
+
+          db.close();
+          test.done();
+        }).catch(function(err) {
+          test.ok(false, err.message);
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
@@ -34,3 +34,57 @@ exports['Should Correctly Do MongoClient with bufferMaxEntries:0'] = {
   }
 }
 
+
+exports['Should correctly connect using a promise when no callback is provided'] = {
+  metadata: {
+    requires: {
+      topology: ['single', 'replicaset', 'sharded', 'ssl']
+    }
+  },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var MongoClient = configuration.require.MongoClient;
+    MongoClient.connect(configuration.url()).then(function(db) {
+      test.ok(db != null);
+
+      db.close();
+      test.done();
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should log connection string warnings through the Logger without a warn function'] = {
+  metadata: {
+    requires: {
+      topology: ['single', 'replicaset', 'sharded', 'ssl']
+    }
+  },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var MongoClient = configuration.require.MongoClient
+      , Logger = configuration.require.Logger;
+    var url = configuration.url();
+    var messages = [];
+
+    // Capture the driver log
+    var logger = Logger.currentLogger();
+    Logger.setCurrentLogger(function(message, options) {
+      if(options.className == 'MongoClient') messages.push(options.message);
+    });
+
+    MongoClient.connect(url + (url.indexOf('?') == -1 ? '?' : '&') + 'unknownOption=1', function(err, db) {
+      Logger.setCurrentLogger(logger);
+      test.equal(null, err);
+      test.equal(1, messages.length);
+      test.ok(messages[0].indexOf('unknownOption') != -1);
+
+      db.close();
+      test.done();
+    });
+  }
+}
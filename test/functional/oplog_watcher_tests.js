@@ -0,0 +1,131 @@
+/**
+ * @ignore
+ */
+exports['Should correctly emit insert, update and delete events from the oplog'] = {
+  metadata: { requires: { topology: 'replicaset' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('shouldCorrectlyWatchOplog');
+      var events = [];
+
+      var watcher = db.watchOplog(collection.namespace, {restartInterval: 100});
+      watcher.on('change', function(event) {
+        events.push(event.type);
+
+        if(events.length == 3) {
+          test.deepEqual(['insert', 'update', 'delete'], events);
+          test.ok(watcher.position != null);
+
+          watcher.stop();
+          db.close();
+          test.done();
+        }
+      });
+
+      // Give the watcher time to locate the end of the oplog
+      setTimeout(function() {
+        collection.insert({a:1}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+
+          collection.update({a:1}, {$set: {b:1}}, configuration.writeConcernMax(), function(err, result) {
+            test.equal(null, err);
+
+            collection.remove({a:1}, configuration.writeConcernMax(), function(err, result) {
+              test.equal(null, err);
+            });
+          });
+        });
+      }, 500);
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should correctly resume from a stored oplog position'] = {
+  metadata: { requires: { topology: 'replicaset' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('shouldCorrectlyResumeOplog');
+      var saved = null;
+
+      // In memory position store
+      var positionStore = {
+        load: function(ns, callback) { callback(null, saved); },
+        save: function(ns, ts, callback) { saved = ts; callback(); }
+      }
+
+      var first = db.watchOplog(collection.namespace, {positionStore: positionStore});
+      first.once('insert', function(event) {
+        test.equal(1, event.document.a);
+        first.stop();
+
+        // Insert while nobody is watching
+        collection.insert({a:2}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+
+          var second = db.watchOplog(collection.namespace, {positionStore: positionStore});
+          second.once('insert', function(event) {
+            test.equal(2, event.document.a);
+
+            second.stop();
+            db.close();
+            test.done();
+          });
+        });
+      });
+
+      setTimeout(function() {
+        collection.insert({a:1}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+        });
+      }, 500);
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should keep waiting on the tailable cursor while the oplog is idle'] = {
+  metadata: { requires: { topology: 'replicaset' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+      var collection = db.collection('shouldKeepWaitingOnIdleOplog');
+      var resumes = 0;
+
+      // Run out of tailable retries quickly
+      var watcher = db.watchOplog(collection.namespace, {numberOfRetries: 1, tailableRetryInterval: 50, restartInterval: 10});
+      watcher.on('resume', function() { resumes = resumes + 1; });
+      watcher.on('error', function(err) { test.ok(false, err.message); });
+
+      watcher.once('insert', function(event) {
+        test.equal(1, event.document.a);
+        test.equal(0, resumes);
+
+        watcher.stop();
+        db.close();
+        test.done();
+      });
+
+      setTimeout(function() {
+        collection.insert({a:1}, configuration.writeConcernMax(), function(err, result) {
+          test.equal(null, err);
+        });
+      }, 3000);
+    });
+  }
+}
@@ -380,3 +380,50 @@ exports['Should correctly honor the readPreferences at DB and individual command
     });
   }
 }
+
+/**
+ * @ignore
+ */
+exports['Should validate tag set lists and maxStalenessSeconds'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var ReadPreference = configuration.require.ReadPreference;
+
+    var readPreference = new ReadPreference(ReadPreference.SECONDARY, [{dc:'ny'}, {}], {maxStalenessSeconds:120});
+    test.deepEqual([{dc:'ny'}, {}], readPreference.tagSets);
+    test.deepEqual({mode:'secondary', tags:[{dc:'ny'}, {}], maxStalenessSeconds:120}, readPreference.toObject());
+
+    // A single tag set is a list of one tag set
+    test.deepEqual([{dc:'ny'}], new ReadPreference(ReadPreference.NEAREST, {dc:'ny'}).tagSets);
+    test.equal(null, new ReadPreference(ReadPreference.NEAREST, null, {maxStalenessSeconds:-1}).maxStalenessSeconds);
+    test.deepEqual([{}], new ReadPreference(ReadPreference.PRIMARY, [{}]).tagSets);
+
+    test.throws(function() { new ReadPreference(ReadPreference.PRIMARY, {dc:'ny'}) });
+    test.throws(function() { new ReadPreference(ReadPreference.PRIMARY, null, {maxStalenessSeconds:120}) });
+    test.throws(function() { new ReadPreference(ReadPreference.SECONDARY, null, {maxStalenessSeconds:30}) });
+    test.done();
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should pass a single tag set to the mongodb-core read preference'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var ReadPreference = configuration.require.ReadPreference;
+
+    var readPreference = new ReadPreference(ReadPreference.SECONDARY, [{dc:'ny'}, {dc:'sf'}]).toCoreReadPreference();
+    test.equal('secondary', readPreference.preference);
+    test.deepEqual({dc:'ny'}, readPreference.tags);
+    test.deepEqual([{dc:'ny'}, {dc:'sf'}], readPreference.tagSets);
+
+    test.deepEqual({dc:'ny'}, new ReadPreference(ReadPreference.NEAREST, {dc:'ny'}).toCoreReadPreference().tags);
+    test.deepEqual({}, new ReadPreference(ReadPreference.NEAREST).toCoreReadPreference().tags);
+    test.done();
+  }
+}
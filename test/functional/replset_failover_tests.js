@@ -388,4 +388,85 @@ exports['Should correctly read from secondary even if primary is down'] = {
       db = p_db;
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should retry count and single document insert across primary stepDown'] = {
+  metadata: { requires: { topology: 'replicaset', mongodb: '>=3.6.0' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1, retryReads:true, retryWrites:true}, {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.once('fullsetup', function() {
+        configuration.manager.stepDown({force: true}, function(err, result) {
+          var collection = db.collection('shouldRetryAcrossStepDown');
+          // Writes are retried with the transaction number of the session
+          var session = db.startSession();
+
+          collection.insert({a:1}, {session: session}, function(err, result) {
+            test.equal(null, err);
+            test.equal(1, session.txnNumber);
+
+            collection.count({a:1}, function(err, count) {
+              test.equal(null, err);
+              test.equal(1, count);
+
+              session.endSession(function() {
+                db.close();
+                restartAndDone(configuration, test);
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should retry single document writes without a session across primary stepDown'] = {
+  metadata: { requires: { topology: 'replicaset', mongodb: '>=3.6.0' } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance({w:1, retryWrites:true}, {poolSize:1});
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.once('fullsetup', function() {
+        var collection = db.collection('shouldRetryWithoutSession');
+
+        collection.insertOne({a:1}, function(err, r) {
+          test.equal(null, err);
+
+          configuration.manager.stepDown({force: true}, function(err, result) {
+            // Writes without a session take an implicit session for the transaction number
+            collection.updateOne({a:1}, {$set: {b:1}}, function(err, r) {
+              test.equal(null, err);
+              test.equal(1, r.modifiedCount);
+
+              collection.findOneAndUpdate({a:1}, {$inc: {b:1}}, {returnDocument: 'after'}, function(err, r) {
+                test.equal(null, err);
+                test.equal(2, r.value.b);
+
+                collection.deleteOne({a:1}, function(err, r) {
+                  test.equal(null, err);
+                  test.equal(1, r.deletedCount);
+
+                  db.close();
+                  restartAndDone(configuration, test);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
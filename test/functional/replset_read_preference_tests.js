@@ -799,4 +799,74 @@ exports['Ensure tag read goes only to the correct server'] = {
       db = p_db;
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * @ignore
+ */
+exports['Should exclude stale secondaries and fall back through tag set lists'] = {
+  metadata: { requires: { mongodb: ">=3.4.0", topology: 'replicaset' } },
+  
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var mongo = configuration.require
+      , ReadPreference = mongo.ReadPreference
+      , ReplSet = mongo.ReplSet
+      , Server = mongo.Server
+      , Db = mongo.Db;
+
+    // Replica configuration
+    var replSet = new ReplSet( [
+        new Server(configuration.host, configuration.port),
+        new Server(configuration.host, configuration.port + 1),
+        new Server(configuration.host, configuration.port + 2)
+      ],
+      {rs_name:configuration.replicasetName, heartbeatFrequencyMS:500}
+    );
+
+    // Open the database
+    var db = new Db('integration_test_', replSet, {w:0});
+    // Trigger test once whole set is up
+    db.on("fullsetup", function() {
+      // Wait for a heartbeat of every member
+      setTimeout(function() {
+        var secondaries = db.serverConfig.description().servers.filter(function(server) {
+          return server.type == 'RSSecondary';
+        }).map(function(server) { return server.address; });
+
+        // The first tag set matches no member, the empty tag set matches all secondaries
+        var readPreference = new ReadPreference(ReadPreference.SECONDARY, [{dc:'nowhere'}, {}], {maxStalenessSeconds:90});
+        var succeeded = [];
+        db.on('commandSucceeded', function(event) { succeeded.push(event); });
+
+        db.command({ping:1}, {readPreference: readPreference}, function(err, result) {
+          test.equal(null, err);
+          test.ok(secondaries.indexOf(succeeded[0].address) != -1);
+
+          // No member matches any of the tag sets
+          var unmatched = new ReadPreference(ReadPreference.SECONDARY, [{dc:'nowhere'}, {dc:'elsewhere'}]);
+          db.command({ping:1}, {readPreference: unmatched}, function(err, result) {
+            test.equal('no replicaset member matches the secondary read preference', err.message);
+
+            // Cursors select the member when iterated and report the error through the callback
+            var collection = db.collection('read_preference_tag_set_lists');
+            collection.find({}, {readPreference: unmatched}).toArray(function(err, docs) {
+              test.equal('no replicaset member matches the secondary read preference', err.message);
+
+              collection.find({}, {readPreference: readPreference}).toArray(function(err, docs) {
+                test.equal(null, err);
+                test.ok(Array.isArray(docs));
+
+                db.close();
+                restartAndDone(configuration, test);
+              });
+            });
+          });
+        });
+      }, 1000);
+    });
+
+    db.open(function(err, p_db) {
+      db = p_db;
+    });
+  }
+}
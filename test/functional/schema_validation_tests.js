@@ -0,0 +1,223 @@
+var userSchema = {
+    bsonType: 'object'
+  , required: ['name', 'age']
+  , properties: {
+      name: {type: 'string', minLength: 1}
+    , age: {type: 'integer', minimum: 0}
+    , address: {
+        type: 'object'
+      , properties: {zip: {type: 'string', pattern: '^[0-9]{5}$'}}
+    }
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should reject inserts that do not match the collection schema'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('schema_reject_inserts', {schema: userSchema});
+
+      collection.insert([{name:'bob', age:30}, {name:'alice', age:20, address: {zip:'1234'}}], configuration.writeConcernMax(), function(err, docs) {
+        test.equal(121, err.code);
+        test.equal('address.zip', err.path);
+        test.equal(1, err.errors.length);
+        test.equal(1, err.errors[0].index);
+        test.equal('pattern', err.errors[0].keyword);
+
+        collection.insert({name:'bob', age:30}, configuration.writeConcernMax(), function(err, docs) {
+          test.equal(null, err);
+
+          collection.count(function(err, count) {
+            test.equal(null, err);
+            test.equal(1, count);
+
+            db.close();
+            test.done();
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should validate replacements and upserts against a schema registered on the db'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      db.registerSchema('schema_registered', userSchema);
+      var collection = db.collection('schema_registered');
+
+      collection.update({name:'bob'}, {name:'bob'}, configuration.writeConcernMax(), function(err, r) {
+        test.equal('age', err.path);
+        test.equal('required', err.errors[0].keyword);
+
+        collection.update({name:'bob'}, {$set: {age: -1}}, {upsert:true, w:1}, function(err, r) {
+          test.equal('age', err.path);
+          test.equal('minimum', err.errors[0].keyword);
+
+          // Non upsert updates with operators are not validated
+          collection.update({name:'bob'}, {$set: {age: -1}}, {w:1}, function(err, r) {
+            test.equal(null, err);
+
+            collection.save({_id:1, name:'bob', age:1}, {w:1}, function(err, r) {
+              test.equal(null, err);
+
+              db.registerSchema('schema_registered', null);
+              collection.insert({}, {w:1}, function(err, r) {
+                test.equal(null, err);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should only validate the fields set by upserts with update operators'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('schema_upserts', {schema: userSchema});
+
+      collection.insert({name:'bob', age:30}, configuration.writeConcernMax(), function(err, docs) {
+        test.equal(null, err);
+
+        // Updates the existing document, the selector and $inc do not make up a complete document
+        collection.update({name:'bob'}, {$inc: {visits: 1}}, {upsert:true, w:1}, function(err, r) {
+          test.equal(null, err);
+
+          // Whether the upsert inserts is not known up front, required properties are not checked
+          collection.update({name:'alice'}, {$inc: {visits: 1}}, {upsert:true, w:1}, function(err, r) {
+            test.equal(null, err);
+
+            collection.findOneAndUpdate({name:'bob'}, {$set: {age: 40}}, {upsert:true, returnDocument:'after'}, function(err, r) {
+              test.equal(null, err);
+              test.equal(40, r.value.age);
+
+              collection.findOneAndUpdate({name:'bob'}, {$set: {age: -1}}, {upsert:true}, function(err, r) {
+                test.equal('age', err.path);
+                test.equal('minimum', err.errors[0].keyword);
+
+                collection.findOneAndReplace({name:'bob'}, {name:'bob'}, function(err, r) {
+                  test.equal('age', err.path);
+                  test.equal('required', err.errors[0].keyword);
+
+                  collection.findAndModify({name:'carol'}, [], {name:'carol', age:'1'}, {upsert:true}, function(err, r) {
+                    test.equal('age', err.path);
+
+                    collection.count(function(err, count) {
+                      test.equal(null, err);
+                      test.equal(2, count);
+
+                      db.close();
+                      test.done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should emit validationWarning and perform the write in warn mode'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var warnings = [];
+      db.on('validationWarning', function(err) {
+        warnings.push(err);
+      });
+
+      var collection = db.collection('schema_warn_mode', {schema: userSchema, schemaAction: 'warn'});
+      collection.insert({name:''}, configuration.writeConcernMax(), function(err, docs) {
+        test.equal(null, err);
+        test.equal(1, warnings.length);
+        test.equal('age', warnings[0].path);
+        test.equal(2, warnings[0].errors.length);
+
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should validate documents added to ordered and unordered bulk operations'] = {
+  metadata: { requires: { topology: ['single', 'replicaset', 'sharded', 'ssl'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('schema_bulk', {schema: userSchema});
+
+      var batch = collection.initializeOrderedBulkOp();
+      batch.insert({name:'bob', age:1});
+      batch.find({name:'bob'}).update({$set: {age: -1}});
+
+      try {
+        batch.insert({name:'bob', age:'1'});
+        test.ok(false);
+      } catch(err) {
+        test.equal('age', err.path);
+      }
+
+      try {
+        batch.find({name:'bob'}).upsert().updateOne({$set: {age: -1}});
+        test.ok(false);
+      } catch(err) {
+        test.equal('age', err.path);
+      }
+
+      // The upsert may update an existing document, only the fields it sets are validated
+      batch.find({age:1}).upsert().updateOne({$set: {age: 2}});
+
+      batch = collection.initializeUnorderedBulkOp();
+
+      try {
+        batch.find({name:'bob'}).replaceOne({age: 1});
+        test.ok(false);
+      } catch(err) {
+        test.equal('name', err.path);
+      }
+
+      db.close();
+      test.done();
+    });
+  }
+}
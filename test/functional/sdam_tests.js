@@ -0,0 +1,143 @@
+/**
+ * @ignore
+ */
+exports['Should emit server discovery and monitoring events for a single server'] = {
+  metadata: { requires: { topology: ['single'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1, heartbeatFrequencyMS:100});
+    var events = {};
+
+    ['serverOpening', 'serverClosed', 'serverDescriptionChanged', 'topologyDescriptionChanged'
+      , 'serverHeartbeatStarted', 'serverHeartbeatSucceeded'].forEach(function(name) {
+      events[name] = [];
+      db.on(name, function(event) { events[name].push(event); });
+    });
+
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.once('serverHeartbeatSucceeded', function(event) {
+        test.equal(1, events.serverOpening.length);
+        test.equal(events.serverOpening[0].address, event.connectionId);
+        test.ok(typeof event.duration == 'number');
+        test.equal(1, event.reply.ok);
+
+        setTimeout(function() {
+          var description = db.serverConfig.description();
+          test.equal('Single', description.type);
+          test.equal(1, description.servers.length);
+          test.equal('Standalone', description.servers[0].type);
+          test.ok(typeof description.servers[0].roundTripTime == 'number');
+          test.equal('Unknown', events.serverDescriptionChanged[0].previousDescription.type);
+          test.equal('Standalone', events.serverDescriptionChanged[0].newDescription.type);
+
+          db.close();
+          test.equal(1, events.serverClosed.length);
+          test.equal(0, events.topologyDescriptionChanged.pop().newDescription.servers.length);
+          test.done();
+        }, 10);
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should describe the members of a replicaset'] = {
+  metadata: { requires: { topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1, heartbeatFrequencyMS:100});
+
+    db.once('fullsetup', function() {
+      // Wait for a heartbeat of every member
+      setTimeout(function() {
+        var description = db.serverConfig.description();
+        test.equal('ReplicaSetWithPrimary', description.type);
+        test.ok(description.setName != null);
+
+        var primaries = description.servers.filter(function(server) { return server.type == 'RSPrimary'; });
+        test.equal(1, primaries.length);
+        test.ok(primaries[0].setVersion != null);
+        test.ok(typeof primaries[0].roundTripTime == 'number');
+        test.ok(primaries[0].hosts.length > 0);
+        test.ok(primaries[0].tags != null);
+
+        description.servers.forEach(function(server) {
+          test.ok(['RSPrimary', 'RSSecondary', 'RSArbiter', 'RSOther', 'Unknown'].indexOf(server.type) != -1);
+        });
+
+        db.close();
+        test.done();
+      }, 500);
+    });
+
+    db.open(function(err, db) {
+      test.equal(null, err);
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should describe the proxies of a sharded cluster'] = {
+  metadata: { requires: { topology: ['sharded'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      // Wait for the first heartbeat of the proxies
+      setTimeout(function() {
+        var description = db.serverConfig.description();
+        test.equal('Sharded', description.type);
+        test.ok(description.servers.length > 0);
+        test.ok(description.servers.some(function(server) { return server.type == 'Mongos'; }));
+
+        db.close();
+        test.done();
+      }, 500);
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should run heartbeats while the application connection is busy'] = {
+  metadata: { requires: { topology: ['single'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1, heartbeatFrequencyMS:100});
+    var durations = [];
+
+    db.open(function(err, db) {
+      test.equal(null, err);
+
+      db.collection('sdam_busy').insert({a:1}, function(err) {
+        test.equal(null, err);
+        db.on('serverHeartbeatSucceeded', function(event) { durations.push(event.duration); });
+
+        // Keep the only pooled connection busy for a second
+        db.collection('sdam_busy').find({$where: 'sleep(1000) || true'}).toArray(function(err, docs) {
+          test.equal(null, err);
+          test.equal(1, docs.length);
+          test.ok(durations.length > 1);
+          test.ok(durations.every(function(duration) { return duration < 1000; }));
+
+          db.close();
+          test.done();
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,498 @@
+/**
+ * @ignore
+ */
+exports['Should read your own writes from secondaries with a causally consistent session'] = {
+  metadata: { requires: { mongodb: ">=3.6.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var ReadPreference = configuration.require.ReadPreference;
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_causal_consistency');
+      var session = db.startSession({causalConsistency: true});
+      test.equal(true, session.causalConsistency);
+      test.equal(null, session.operationTime);
+      var finds = [];
+
+      db.on('commandStarted', function(event) {
+        if(event.commandName == 'find') finds.push(event.command);
+      });
+
+      collection.insertOne({a:1}, {session: session}, function(err, r) {
+        test.equal(null, err);
+        test.ok(session.operationTime != null);
+        test.ok(session.clusterTime != null);
+
+        collection.find({a:1}, {session: session, readPreference: ReadPreference.SECONDARY}).toArray(function(err, docs) {
+          test.equal(null, err);
+          test.equal(1, docs.length);
+          // The secondary waits for the insert before running the find
+          test.equal(1, finds.length);
+          test.ok(finds[0].lsid != null);
+          test.ok(session.operationTime.equals(finds[0].readConcern.afterClusterTime));
+
+          collection.count({a:1}, {session: session, readPreference: ReadPreference.SECONDARY}, function(err, count) {
+            test.equal(null, err);
+            test.equal(1, count);
+
+            session.endSession(function(err) {
+              test.equal(null, err);
+              test.equal(true, session.hasEnded);
+
+              collection.findOne({a:1}, {session: session}, function(err, doc) {
+                test.equal('cannot use a session that has ended', err.message);
+
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should attach the session to commands and bulk operations'] = {
+  metadata: { requires: { mongodb: ">=3.6.0", topology: ['single', 'replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_commands');
+      var session = db.startSession();
+      var started = [];
+
+      db.on('commandStarted', function(event) {
+        started.push(event);
+      });
+
+      var batch = collection.initializeOrderedBulkOp({session: session});
+      batch.insert({a:1});
+      batch.find({a:1}).updateOne({$set: {b:1}});
+
+      batch.execute(function(err, result) {
+        test.equal(null, err);
+        test.equal(1, result.nModified);
+
+        collection.findOneAndUpdate({a:1}, {$set: {c:1}}, {session: session}, function(err, r) {
+          test.equal(null, err);
+
+          var commands = started.filter(function(event) { return event.command.lsid != null; });
+          test.deepEqual(['insert', 'update', 'findandmodify'], commands.map(function(event) { return event.commandName.toLowerCase(); }));
+          test.ok(session.equals(session));
+
+          // Sessions can only be used by the client that started them
+          var other = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+          other.open(function(err, other) {
+            other.collection('sessions_commands').insertOne({a:2}, {session: session}, function(err, r) {
+              test.equal('session was started by a different client', err.message);
+
+              session.endSession().then(function() {
+                other.close();
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should apply db and collection level read concerns'] = {
+  metadata: { requires: { mongodb: ">=3.2.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var dbOptions = configuration.writeConcernMax();
+    dbOptions.readConcern = {level: 'majority'};
+
+    var db = configuration.newDbInstance(dbOptions, {poolSize:1});
+    db.open(function(err, db) {
+      test.deepEqual({level: 'majority'}, db.readConcern);
+      var commands = {};
+
+      db.on('commandStarted', function(event) {
+        commands[event.commandName] = event.command;
+      });
+
+      var collection = db.collection('sessions_read_concern');
+      test.deepEqual({level: 'majority'}, collection.readConcern);
+      test.deepEqual({level: 'local'}, db.collection('sessions_read_concern', {readConcern: {level: 'local'}}).readConcern);
+
+      collection.insertOne({a:1}, {w: 'majority'}, function(err, r) {
+        test.equal(null, err);
+
+        collection.find({a:1}).toArray(function(err, docs) {
+          test.equal(null, err);
+          test.equal(1, docs.length);
+          test.deepEqual({level: 'majority'}, commands.find.readConcern);
+
+          collection.distinct('a', {}, {readConcern: {level: 'local'}}, function(err, values) {
+            test.equal(null, err);
+            test.deepEqual([1], values);
+            test.deepEqual({level: 'local'}, commands.distinct.readConcern);
+
+            collection.count({}, {readConcern: {level: 'snapshot'}}, function(err, count) {
+              test.equal('readConcern level must be one of local, majority, linearizable', err.message);
+
+              db.close();
+              test.done();
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should fail to start a session on servers before 3.6'] = {
+  metadata: { requires: { mongodb: "<3.6.0", topology: ['single', 'replicaset', 'sharded'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      try {
+        db.startSession();
+        test.ok(false);
+      } catch(err) {
+        test.ok(err.message.indexOf('sessions are not supported by this server') != -1);
+      }
+
+      db.close();
+      test.done();
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should commit and abort transactions'] = {
+  metadata: { requires: { mongodb: ">=4.0.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_transactions');
+      var session = db.startSession();
+      var started = [];
+
+      db.on('commandStarted', function(event) {
+        if(event.command.lsid != null) started.push(event);
+      });
+
+      // Collections can not be created in a transaction
+      db.createCollection('sessions_transactions', function(err) {
+        test.equal(null, err);
+
+        session.startTransaction({readConcern: {level: 'snapshot'}, writeConcern: {w: 'majority'}});
+        test.equal(true, session.inTransaction());
+
+        var batch = collection.initializeOrderedBulkOp({session: session});
+        batch.insert({a:1});
+        batch.find({a:1}).updateOne({$set: {b:1}});
+
+        batch.execute(function(err, result) {
+          test.equal(null, err);
+
+          collection.findOneAndUpdate({a:1}, {$set: {c:1}}, {session: session}, function(err, r) {
+            test.equal(null, err);
+
+            // The writes are not visible outside of the transaction
+            collection.findOne({a:1}, function(err, doc) {
+              test.equal(null, doc);
+
+              session.commitTransaction(function(err) {
+                test.equal(null, err);
+                test.equal(false, session.inTransaction());
+
+                test.equal(true, started[0].command.startTransaction);
+                test.deepEqual({level: 'snapshot'}, started[0].command.readConcern);
+                started.forEach(function(event) {
+                  test.equal(false, event.command.autocommit);
+                  test.equal(session.txnNumber, event.command.txnNumber.toNumber());
+                });
+
+                session.startTransaction();
+                collection.insertOne({a:2}, {session: session}, function(err, r) {
+                  test.equal(null, err);
+
+                  session.abortTransaction().then(function() {
+                    collection.find({}, {a:1, b:1, c:1, _id:0}).toArray(function(err, docs) {
+                      test.deepEqual([{a:1, b:1, c:1}], docs);
+
+                      session.abortTransaction(function(err) {
+                        test.equal('cannot call abortTransaction twice', err.message);
+
+                        session.endSession(function() {
+                          db.close();
+                          test.done();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should start a transaction with a find'] = {
+  metadata: { requires: { mongodb: ">=4.0.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_transaction_find');
+      var session = db.startSession();
+      var started = [];
+      var getMores = 0;
+
+      db.on('commandStarted', function(event) {
+        if(event.commandName == 'getMore') getMores = getMores + 1;
+        if(event.command.lsid != null) started.push(event);
+      });
+
+      collection.insertMany([{a:1}, {a:2}, {a:3}], function(err, r) {
+        test.equal(null, err);
+
+        session.startTransaction();
+        collection.find({}, {session: session, batchSize: 1}).toArray(function(err, docs) {
+          test.equal(null, err);
+          test.equal(3, docs.length);
+
+          collection.insertOne({a:4}, {session: session}, function(err, r) {
+            test.equal(null, err);
+
+            session.commitTransaction(function(err) {
+              test.equal(null, err);
+
+              // Only the find starts the transaction, the insert is part of it
+              test.ok(getMores > 0);
+              test.deepEqual(['find', 'insert', 'commitTransaction'], started.map(function(event) { return event.commandName; }));
+              test.equal(true, started[0].command.startTransaction);
+              started.forEach(function(event, i) {
+                if(i > 0) test.equal(null, event.command.startTransaction);
+                test.equal(session.txnNumber, event.command.txnNumber.toNumber());
+              });
+
+              collection.count({}, function(err, count) {
+                test.equal(4, count);
+
+                session.endSession(function() {
+                  db.close();
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should retry withTransaction on a TransientTransactionError'] = {
+  metadata: { requires: { mongodb: ">=4.0.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_with_transaction');
+      var session = db.startSession();
+      var other = db.startSession();
+      var attempts = 0;
+
+      collection.insertOne({_id:1, balance:100}, function(err, r) {
+        test.equal(null, err);
+
+        session.withTransaction(function(session) {
+          attempts = attempts + 1;
+
+          if(attempts > 1) return collection.updateOne({_id:1}, {$inc: {balance:-10}}, {session: session});
+
+          // A write of another transaction makes the first attempt fail with a write conflict
+          other.startTransaction();
+          return collection.updateOne({_id:1}, {$inc: {balance:-1}}, {session: other}).then(function() {
+            return collection.updateOne({_id:1}, {$inc: {balance:-10}}, {session: session});
+          }).catch(function(err) {
+            test.ok(err.errorLabels.indexOf('TransientTransactionError') != -1);
+            return other.commitTransaction().then(function() { throw err; });
+          });
+        }, {writeConcern: {w: 'majority'}, maxCommitTimeMS: 1000}).then(function() {
+          test.equal(2, attempts);
+
+          collection.findOne({_id:1}, function(err, doc) {
+            test.equal(89, doc.balance);
+
+            session.withTransaction(function() {
+              return {};
+            }, function(err) {
+              test.equal('withTransaction requires the function to return a Promise', err.message);
+              test.equal('aborted', session.transactionState);
+
+              other.endSession();
+              session.endSession(function() {
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should keep the transaction open when the commit result is unknown'] = {
+  metadata: { requires: { mongodb: ">=4.0.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_unknown_commit');
+      var session = db.startSession();
+
+      db.createCollection('sessions_unknown_commit', function(err) {
+        test.equal(null, err);
+
+        session.startTransaction();
+        collection.insertOne({a:1}, {session: session}, function(err) {
+          test.equal(null, err);
+
+          // Close the connection of the commit and of its retry
+          var failPoint = {configureFailPoint: 'failCommand', mode: {times: 2}
+            , data: {failCommands: ['commitTransaction'], closeConnection: true}};
+          db.admin().command(failPoint, function(err) {
+            test.equal(null, err);
+
+            session.commitTransaction(function(err) {
+              test.ok(err.errorLabels.indexOf('UnknownTransactionCommitResult') != -1);
+              test.ok(err.errorLabels.indexOf('TransientTransactionError') == -1);
+              test.equal(true, session.inTransaction());
+
+              session.commitTransaction(function(err) {
+                test.equal(null, err);
+                test.equal('committed', session.transactionState);
+
+                collection.count({a:1}, function(err, count) {
+                  test.equal(1, count);
+
+                  session.endSession(function() {
+                    db.close();
+                    test.done();
+                  });
+                });
+              });
+            });
+
+            // The transaction is committed when the reply arrives
+            test.equal(true, session.inTransaction());
+          });
+        });
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should fail to start a transaction on a standalone server or a sharded cluster'] = {
+  metadata: { requires: { mongodb: ">=3.6.0", topology: ['single', 'sharded'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var session = db.startSession();
+
+      try {
+        session.startTransaction();
+        test.ok(false);
+      } catch(err) {
+        test.ok(err.message.indexOf('transactions are not supported by this deployment') != -1);
+      }
+
+      session.endSession(function() {
+        db.close();
+        test.done();
+      });
+    });
+  }
+}
+
+/**
+ * @ignore
+ */
+exports['Should check the keys of documents inserted with a session'] = {
+  metadata: { requires: { mongodb: ">=3.6.0", topology: ['replicaset'] } },
+
+  // The actual test we wish to run
+  test: function(configuration, test) {
+    var db = configuration.newDbInstance(configuration.writeConcernMax(), {poolSize:1});
+    db.open(function(err, db) {
+      var collection = db.collection('sessions_check_keys');
+      var session = db.startSession();
+
+      // The first write gives the session a $clusterTime sent with the next ones
+      collection.insert({a:1}, {session: session}, function(err) {
+        test.equal(null, err);
+        test.ok(session.clusterTime != null);
+
+        collection.insert({$hello:1}, {session: session}, function(err) {
+          test.equal("key $hello must not start with '$'", err.message);
+
+          collection.insert({'hello.world':1}, {session: session, checkKeys: false}, function(err) {
+            test.equal(null, err);
+
+            collection.insert({f: function() { return 1; }}, {session: session, serializeFunctions: true}, function(err) {
+              test.equal(null, err);
+
+              collection.findOne({f: {$exists: true}}, function(err, doc) {
+                test.equal(null, err);
+                test.ok(doc.f.code != null);
+
+                session.endSession();
+                db.close();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+}
@@ -203,12 +203,19 @@ var testFiles =[
   , '/test/functional/url_parser_tests.js'
   , '/test/functional/gridfs_tests.js'
   , '/test/functional/bulk_tests.js'
+  , '/test/functional/apm_tests.js'
+  , '/test/functional/sdam_tests.js'
+  , '/test/functional/schema_validation_tests.js'
+  , '/test/functional/crud_api_tests.js'
+  , '/test/functional/collation_tests.js'
+  , '/test/functional/sessions_tests.js'
 
   // Replicaset tests
   , '/test/functional/replset_failover_tests.js'
   , '/test/functional/replset_connection_tests.js'
   , '/test/functional/replset_operations_tests.js'
   , '/test/functional/replset_read_preference_tests.js'
+  , '/test/functional/oplog_watcher_tests.js'
 
   // Sharding tests
   , '/test/functional/sharding_failover_tests.js'